@@ -0,0 +1,57 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { getAvailableLanguages, normalizeFaqData } from './faq-loader.mjs';
+import { PRODUCTION_DATASET, DATASET_NAME_PATTERN, datasetExists, datasetFile, datasetFileName, loadDataset } from './faq-datasets.mjs';
+import { hasGuildFaq, guildFaqFile } from './faq-guilds.mjs';
+import { EXPORT_FORMATS, renderFaqExport, exportFileName } from './faq-export.mjs';
+
+// Exportação offline do FAQ, com a mesma saída do /faq export, sem conectar ao Discord
+// Uso: node export-faq.mjs [--format json|markdown|html|csv] [--lang en] [--dataset production] [--guild <id>] [--out arquivo]
+// --guild exporta o conteúdo próprio da guild (guilds/<id>.json); nos formatos de texto, já mesclado com a base
+const USAGE = 'Uso: node export-faq.mjs [--format json|markdown|html|csv] [--lang en] [--dataset production] [--guild <id>] [--out arquivo]';
+
+function fail(message) {
+    console.error(`[ERROR] ${message}`);
+    console.error(USAGE);
+    process.exit(1);
+}
+
+function parseArgs(argv) {
+    const args = {};
+    for (let idx = 0; idx < argv.length; idx++) {
+        const match = /^--([a-z]+)$/.exec(argv[idx]);
+        if (!match || argv[idx + 1] === undefined) fail(`argumento inválido: ${argv[idx]}`);
+        args[match[1]] = argv[++idx];
+    }
+    return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const format = args.format || 'json';
+const dataset = (args.dataset || PRODUCTION_DATASET).toLowerCase();
+const guildId = args.guild || null;
+
+if (!EXPORT_FORMATS[format]) fail(`formato desconhecido: ${format}`);
+if (!DATASET_NAME_PATTERN.test(dataset) || !datasetExists(dataset)) fail(`conjunto de FAQ não encontrado: ${dataset}`);
+if (guildId && dataset !== PRODUCTION_DATASET) fail('--guild só vale para o conjunto production');
+if (guildId && !hasGuildFaq(guildId)) fail(`a guild ${guildId} não tem conteúdo próprio`);
+
+const sourceFile = guildId ? guildFaqFile(guildId) : datasetFile(dataset);
+const sourceName = guildId ? `faq-guild-${guildId}.json` : datasetFileName(dataset);
+const source = fs.readFileSync(sourceFile, 'utf8');
+
+let output = source;
+let fileName = sourceName;
+if (format !== 'json') {
+    const data = guildId ? loadDataset(PRODUCTION_DATASET, guildId) : normalizeFaqData(JSON.parse(source));
+    const lang = args.lang || 'en';
+    if (!getAvailableLanguages(data).includes(lang)) {
+        console.error(`[WARN] idioma ${lang} sem conteúdo em ${sourceName}, textos sem tradução ficam em inglês`);
+    }
+    output = renderFaqExport(data, format, lang);
+    fileName = exportFileName(sourceName, format, lang);
+}
+
+const outFile = path.resolve(args.out || fileName);
+fs.writeFileSync(outFile, output);
+console.log(`[EXPORT] ${sourceName} exportado como ${format} em ${outFile}`);
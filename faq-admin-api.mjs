@@ -0,0 +1,280 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import http from 'node:http';
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { normalizeFaqData, faqExists, FAQ_KEY_PATTERN } from './faq-loader.mjs';
+import { validateFaq } from './faq-validator.mjs';
+import { rawCategoryList, rawCategoryId } from './faq-guilds.mjs';
+import {
+    PRODUCTION_DATASET,
+    DATASET_NAME_PATTERN,
+    datasetExists,
+    listDatasets,
+    loadDataset,
+    readDatasetRaw,
+} from './faq-datasets.mjs';
+
+// API HTTP local de administração do FAQ e editor embutido (faq-editor.html)
+// Opcional: só sobe com ADMIN_API_TOKEN configurado; todas as rotas /api exigem Authorization: Bearer <token>
+// Rotas (todas aceitam ?dataset=<nome>, padrão production):
+//   GET    /api/datasets
+//   GET    /api/faqs                 GET /api/faqs/:key
+//   POST   /api/faqs { key, faq }    PUT /api/faqs/:key { faq }    DELETE /api/faqs/:key
+//   GET    /api/categories
+//   POST   /api/categories { category }    PUT /api/categories/:id { category }    DELETE /api/categories/:id
+//   POST   /api/validate (corpo: faq.json completo, nada é gravado)
+//   GET    /api/render/:key?lang=&page=    payload Components V2 exato do card de resposta
+// Gravações passam pelo mesmo caminho do /faq import (save): histórico, recarga e atualização das mensagens
+const EDITOR_FILE = path.join(process.cwd(), 'faq-editor.html');
+const MAX_BODY_BYTES = 1024 * 1024;
+const API_AUTHOR = { id: null, tag: 'api' };
+
+function httpError(status, message, details = {}) {
+    const err = new Error(message);
+    err.status = status;
+    err.details = details;
+    return err;
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+// Compara os hashes para o tempo de resposta não revelar quantos caracteres do token acertaram
+function isAuthorized(req, token) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    if (!match) return false;
+    const digest = (value) => createHash('sha256').update(value).digest();
+    return timingSafeEqual(digest(match[1]), digest(token));
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(httpError(413, 'corpo da requisição maior que 1 MB'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (!chunks.length) return resolve({});
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch {
+                reject(httpError(400, 'JSON inválido'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function getDataset(url) {
+    const dataset = (url.searchParams.get('dataset') || PRODUCTION_DATASET).trim().toLowerCase();
+    if (!DATASET_NAME_PATTERN.test(dataset)) throw httpError(400, 'nome de conjunto inválido');
+    if (!datasetExists(dataset)) throw httpError(404, `conjunto ${dataset} não encontrado`);
+    return dataset;
+}
+
+function rawFaqCategoryId(faq) {
+    return (faq?.categoryId || faq?.category || 'general').toString().toLowerCase();
+}
+
+// Rotas de leitura: respondem direto a partir do arquivo do conjunto
+function handleRead(parts, url, render) {
+    if (parts[0] === 'datasets' && parts.length === 1) {
+        return { datasets: listDatasets() };
+    }
+
+    const dataset = getDataset(url);
+
+    if (parts[0] === 'faqs' && parts.length === 1) {
+        const data = normalizeFaqData(readDatasetRaw(dataset));
+        const faqs = Object.entries(data.faqs).map(([key, faq]) => ({ key, categoryId: faq.categoryId, label: faq.label }));
+        return { dataset, faqs };
+    }
+
+    if (parts[0] === 'faqs' && parts.length === 2) {
+        const faq = readDatasetRaw(dataset).faqs?.[parts[1]];
+        if (!faq) throw httpError(404, `FAQ ${parts[1]} não encontrado`);
+        return { dataset, key: parts[1], faq };
+    }
+
+    if (parts[0] === 'categories' && parts.length === 1) {
+        return { dataset, categories: rawCategoryList(readDatasetRaw(dataset).categories) };
+    }
+
+    if (parts[0] === 'render' && parts.length === 2) {
+        const key = parts[1];
+        if (!faqExists(key, loadDataset(dataset), { includeHidden: true })) throw httpError(404, `FAQ ${key} não encontrado`);
+        const lang = url.searchParams.get('lang') || 'en';
+        const page = Number(url.searchParams.get('page')) || 1;
+        return { dataset, key, lang, payload: render(key, lang, { dataset, page }) };
+    }
+
+    return null;
+}
+
+// Rotas de escrita: aplicam a mudança numa cópia do arquivo cru, validam e gravam
+// Retorna { note, apply(raw) } ou null se a rota não existir
+function resolveMutation(method, parts, body) {
+    const [resource, id] = parts;
+
+    if (resource === 'faqs' && method === 'POST' && parts.length === 1) {
+        const key = (body.key || '').toString().trim();
+        if (!FAQ_KEY_PATTERN.test(key)) throw httpError(400, 'chave inválida: use letras minúsculas, números e _ (até 60 caracteres)');
+        return {
+            note: `criou ${key}`,
+            apply(raw) {
+                raw.faqs = raw.faqs || {};
+                if (raw.faqs[key]) throw httpError(409, `já existe um FAQ com a chave ${key}`);
+                raw.faqs[key] = body.faq;
+            },
+        };
+    }
+
+    if (resource === 'faqs' && method === 'PUT' && parts.length === 2) {
+        return {
+            note: `editou ${id}`,
+            apply(raw) {
+                if (!raw.faqs?.[id]) throw httpError(404, `FAQ ${id} não encontrado`);
+                raw.faqs[id] = body.faq;
+            },
+        };
+    }
+
+    if (resource === 'faqs' && method === 'DELETE' && parts.length === 2) {
+        return {
+            note: `removeu ${id}`,
+            apply(raw) {
+                if (!raw.faqs?.[id]) throw httpError(404, `FAQ ${id} não encontrado`);
+                delete raw.faqs[id];
+            },
+        };
+    }
+
+    if (resource === 'categories' && method === 'POST' && parts.length === 1) {
+        const categoryId = rawCategoryId(body.category);
+        if (!categoryId) throw httpError(400, 'categoria sem id');
+        return {
+            note: `criou a categoria ${categoryId}`,
+            apply(raw) {
+                const categories = rawCategoryList(raw.categories);
+                if (categories.some(cat => rawCategoryId(cat) === categoryId)) throw httpError(409, `já existe uma categoria ${categoryId}`);
+                raw.categories = [...categories, body.category];
+            },
+        };
+    }
+
+    if (resource === 'categories' && method === 'PUT' && parts.length === 2) {
+        return {
+            note: `editou a categoria ${id}`,
+            apply(raw) {
+                const categories = rawCategoryList(raw.categories);
+                const idx = categories.findIndex(cat => rawCategoryId(cat) === id);
+                if (idx < 0) throw httpError(404, `categoria ${id} não encontrada`);
+                if (rawCategoryId(body.category) !== id) throw httpError(400, 'o id da categoria não pode mudar');
+                categories[idx] = body.category;
+                raw.categories = categories;
+            },
+        };
+    }
+
+    if (resource === 'categories' && method === 'DELETE' && parts.length === 2) {
+        return {
+            note: `removeu a categoria ${id}`,
+            apply(raw) {
+                const categories = rawCategoryList(raw.categories);
+                if (!categories.some(cat => rawCategoryId(cat) === id)) throw httpError(404, `categoria ${id} não encontrada`);
+                const used = Object.entries(raw.faqs || {}).filter(([, faq]) => rawFaqCategoryId(faq) === id).map(([key]) => key);
+                if (used.length) throw httpError(409, `categoria ${id} ainda usada por: ${used.join(', ')}`);
+                raw.categories = categories.filter(cat => rawCategoryId(cat) !== id);
+            },
+        };
+    }
+
+    return null;
+}
+
+// save(dataset, data, meta): caminho de gravação do bot (saveDataset), retorna { version, updatedCount }
+// render(key, lang, { dataset, page }): payload do card de resposta (buildCv2Reply)
+export function startAdminApi({ port, host = '127.0.0.1', token, save, render }) {
+    // Gravações em fila: duas edições simultâneas não podem ler o mesmo arquivo e uma apagar a outra
+    let queue = Promise.resolve();
+    const enqueue = (task) => {
+        const run = queue.then(task);
+        queue = run.catch(() => {});
+        return run;
+    };
+
+    const handle = async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (req.method === 'GET' && (url.pathname === '/' || url.pathname === '/editor')) {
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(fs.readFileSync(EDITOR_FILE));
+            return;
+        }
+
+        if (!url.pathname.startsWith('/api/')) throw httpError(404, 'rota não encontrada');
+        if (!isAuthorized(req, token)) throw httpError(401, 'token ausente ou inválido');
+
+        let parts;
+        try {
+            parts = url.pathname.slice('/api/'.length).split('/').filter(Boolean).map(decodeURIComponent);
+        } catch {
+            throw httpError(400, 'caminho com escape inválido');
+        }
+
+        if (req.method === 'GET') {
+            const result = handleRead(parts, url, render);
+            if (!result) throw httpError(404, 'rota não encontrada');
+            sendJson(res, 200, result);
+            return;
+        }
+
+        const body = await readJsonBody(req);
+
+        if (req.method === 'POST' && parts[0] === 'validate' && parts.length === 1) {
+            sendJson(res, 200, validateFaq(body));
+            return;
+        }
+
+        const mutation = resolveMutation(req.method, parts, body);
+        if (!mutation) throw httpError(404, 'rota não encontrada');
+        const dataset = getDataset(url);
+
+        const result = await enqueue(async () => {
+            const raw = readDatasetRaw(dataset);
+            mutation.apply(raw);
+
+            const validation = validateFaq(raw);
+            if (validation.errors.length) {
+                throw httpError(422, 'o arquivo ficaria inválido', { errors: validation.errors, warnings: validation.warnings });
+            }
+
+            const { version, updatedCount } = await save(dataset, raw, { author: API_AUTHOR, action: 'api', note: mutation.note });
+            console.log(`[API] ${mutation.note} em ${dataset}${version ? ` (v${version.version})` : ''}`);
+            return { ok: true, dataset, version: version?.version ?? null, updatedCount, warnings: validation.warnings };
+        });
+
+        sendJson(res, 200, result);
+    };
+
+    const server = http.createServer((req, res) => {
+        handle(req, res).catch((err) => {
+            const status = err.status || 500;
+            if (status === 500) console.error(`[ERROR] api: ${err.message}`);
+            if (!res.headersSent) sendJson(res, status, { error: err.message, ...(err.details || {}) });
+        });
+    });
+
+    server.on('error', (err) => console.error(`[ERROR] api: ${err.message}`));
+    server.listen(port, host, () => console.log(`[BOOT] API de administração em http://${host}:${port}`));
+    return server;
+}
@@ -0,0 +1,7 @@
+// Utilitários de CSV compartilhados pelas exportações (estatísticas, FAQ, traduções)
+
+// Célula de CSV: aspas quando há vírgula, aspas ou quebra de linha
+export function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,73 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { loadFaq, normalizeFaqData } from './faq-loader.mjs';
+import { loadGuildFaq } from './faq-guilds.mjs';
+
+// Conjuntos de FAQ nomeados (produção, staging, evento, beta...)
+// A produção é o faq.json, carregado e observado pelo faq-loader; os demais ficam em <nome>faq.json
+// (o antigo testfaq.json vira o conjunto "test") e são lidos do disco a cada uso
+export const PRODUCTION_DATASET = 'production';
+
+// Nomes curtos em minúsculas: vão no nome do arquivo e no prefixo dos customIds
+export const DATASET_NAME_PATTERN = /^[a-z0-9-]{1,20}$/;
+
+const DATASET_DIR = process.cwd();
+const DATASET_FILE_SUFFIX = 'faq.json';
+
+export function datasetFile(name) {
+    if (name === PRODUCTION_DATASET) return path.join(DATASET_DIR, 'faq.json');
+    return path.join(DATASET_DIR, `${name}${DATASET_FILE_SUFFIX}`);
+}
+
+export function datasetFileName(name) {
+    return path.basename(datasetFile(name));
+}
+
+// Produção primeiro, depois os demais conjuntos encontrados no disco em ordem alfabética
+export function listDatasets() {
+    const names = fs.readdirSync(DATASET_DIR)
+        .filter(file => file.endsWith(DATASET_FILE_SUFFIX) && file !== 'faq.json')
+        .map(file => file.slice(0, -DATASET_FILE_SUFFIX.length))
+        .filter(name => DATASET_NAME_PATTERN.test(name) && name !== PRODUCTION_DATASET)
+        .sort();
+    return [PRODUCTION_DATASET, ...names];
+}
+
+export function datasetExists(name) {
+    return fs.existsSync(datasetFile(name));
+}
+
+// Dados normalizados de um conjunto, no mesmo formato do faq-loader; null se ausente ou inválido
+// guildId: na produção, aplica o conteúdo próprio da guild (faq-guilds) sobre o faq.json
+export function loadDataset(name = PRODUCTION_DATASET, guildId = null) {
+    if (name === PRODUCTION_DATASET) return guildId ? loadGuildFaq(guildId) : loadFaq();
+
+    const filePath = datasetFile(name);
+    if (!fs.existsSync(filePath)) return null;
+    try {
+        return normalizeFaqData(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    } catch {
+        return null;
+    }
+}
+
+// Conteúdo cru (sem normalizar) de um conjunto, para exportar e promover sem alterar o formato
+export function readDatasetRaw(name) {
+    return JSON.parse(fs.readFileSync(datasetFile(name), 'utf8'));
+}
+
+// Prefixo dos customIds de cards e menus: produção sem prefixo (mantém as mensagens já publicadas),
+// demais conjuntos como <nome>/<customId>
+export function datasetCustomId(name, customId) {
+    return name === PRODUCTION_DATASET ? customId : `${name}/${customId}`;
+}
+
+// Menus do antigo testfaq.json usavam um "t" na frente do customId
+const LEGACY_TEST_PREFIX = /^t(?=select_|lang_btn:|lang_sel:|page:|faq_go:|faq_back:)/;
+
+export function parseDatasetCustomId(customId) {
+    const match = /^([a-z0-9-]{1,20})\/(.*)$/.exec(customId);
+    if (match) return { dataset: match[1], customId: match[2] };
+    if (LEGACY_TEST_PREFIX.test(customId)) return { dataset: 'test', customId: customId.substring(1) };
+    return { dataset: PRODUCTION_DATASET, customId };
+}
@@ -0,0 +1,116 @@
+// Compara duas versões normalizadas do FAQ (saída de normalizeFaqData)
+// Usado para mostrar o que uma importação vai mudar antes de sobrescrever o arquivo
+
+function sameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Janela de visibilidade normalizada (ms ou null) em texto curto, em UTC: "a partir de 2026-01-01 14:00"
+function formatWindow(faq) {
+    const date = (ms) => new Date(ms).toISOString().replace('T', ' ').substring(0, 16);
+    if (faq.visibleFrom && faq.visibleUntil) return `de ${date(faq.visibleFrom)} até ${date(faq.visibleUntil)}`;
+    if (faq.visibleFrom) return `a partir de ${date(faq.visibleFrom)}`;
+    if (faq.visibleUntil) return `até ${date(faq.visibleUntil)}`;
+    return 'sempre';
+}
+
+// Cargos exigidos em texto curto; lista vazia é conteúdo aberto a todos
+function formatRoles(roles) {
+    return roles?.length ? roles.join(', ') : 'todos';
+}
+
+// Lista quais partes de um FAQ mudaram: categoria, label, palavras-chave e idiomas do conteúdo
+function describeFaqChanges(before, after) {
+    const changes = [];
+    if (before.categoryId !== after.categoryId) changes.push(`categoria ${before.categoryId} → ${after.categoryId}`);
+    if (!sameValue(before.labels, after.labels)) changes.push('label');
+    // keywords já junta keywords e aliases do arquivo (normalizeStringList)
+    if (!sameValue(before.keywords, after.keywords)) changes.push('palavras-chave');
+    if (!sameValue(before.roles, after.roles)) changes.push(`cargos (${formatRoles(after.roles)})`);
+    if (before.visibleFrom !== after.visibleFrom || before.visibleUntil !== after.visibleUntil) {
+        changes.push(`visibilidade ${formatWindow(before)} → ${formatWindow(after)}`);
+    }
+
+    const langs = new Set([...Object.keys(before.content || {}), ...Object.keys(after.content || {})]);
+    const changedLangs = [...langs].filter(lang => (before.content?.[lang] || '') !== (after.content?.[lang] || ''));
+    if (changedLangs.length) changes.push(`conteúdo (${changedLangs.join(', ')})`);
+
+    return changes;
+}
+
+export function diffFaqData(before, after) {
+    const oldFaqs = before?.faqs || {};
+    const newFaqs = after?.faqs || {};
+    const oldCats = new Map((before?.categories || []).map(c => [c.id, c]));
+    const newCats = new Map((after?.categories || []).map(c => [c.id, c]));
+
+    const diff = {
+        faqs: { added: [], removed: [], changed: [] },
+        categories: { added: [], removed: [], changed: [] },
+        rootMessageChanged: !sameValue(before?.rootMessage, after?.rootMessage),
+    };
+
+    for (const [key, faq] of Object.entries(newFaqs)) {
+        if (!oldFaqs[key]) {
+            diff.faqs.added.push({ key, label: faq.label });
+            continue;
+        }
+        const changes = describeFaqChanges(oldFaqs[key], faq);
+        if (changes.length) diff.faqs.changed.push({ key, label: faq.label, changes });
+    }
+    for (const [key, faq] of Object.entries(oldFaqs)) {
+        if (!newFaqs[key]) diff.faqs.removed.push({ key, label: faq.label });
+    }
+
+    for (const [id, cat] of newCats) {
+        if (!oldCats.has(id)) {
+            diff.categories.added.push({ id, label: cat.label });
+        } else {
+            const changes = [];
+            if (!sameValue(oldCats.get(id).labels, cat.labels)) changes.push(`label ${cat.label}`);
+            if (!sameValue(oldCats.get(id).roles, cat.roles)) changes.push(`cargos (${formatRoles(cat.roles)})`);
+            if (changes.length) diff.categories.changed.push({ id, label: cat.label, changes });
+        }
+    }
+    for (const [id, cat] of oldCats) {
+        if (!newCats.has(id)) diff.categories.removed.push({ id, label: cat.label });
+    }
+
+    // Ordem das categorias também muda o menu
+    const oldOrder = [...oldCats.keys()].filter(id => newCats.has(id));
+    const newOrder = [...newCats.keys()].filter(id => oldCats.has(id));
+    diff.categoriesReordered = !sameValue(oldOrder, newOrder);
+
+    return diff;
+}
+
+export function hasChanges(diff) {
+    return diff.rootMessageChanged
+        || diff.categoriesReordered
+        || Object.values(diff.faqs).some(list => list.length)
+        || Object.values(diff.categories).some(list => list.length);
+}
+
+// Resumo legível para a mensagem de confirmação, cortando listas longas
+export function formatDiffSummary(diff, maxItems = 10) {
+    if (!hasChanges(diff)) return 'Nenhuma alteração em relação ao arquivo atual.';
+
+    const lines = [];
+    const section = (title, items, render) => {
+        if (!items.length) return;
+        lines.push(`**${title} (${items.length})**`);
+        for (const item of items.slice(0, maxItems)) lines.push(render(item));
+        if (items.length > maxItems) lines.push(`… e mais ${items.length - maxItems}`);
+    };
+
+    section('➕ FAQs adicionados', diff.faqs.added, f => `\`${f.key}\` ${f.label}`);
+    section('➖ FAQs removidos', diff.faqs.removed, f => `\`${f.key}\` ${f.label}`);
+    section('✏️ FAQs alterados', diff.faqs.changed, f => `\`${f.key}\` ${f.changes.join(', ')}`);
+    section('➕ Categorias adicionadas', diff.categories.added, c => `\`${c.id}\` ${c.label}`);
+    section('➖ Categorias removidas', diff.categories.removed, c => `\`${c.id}\` ${c.label}`);
+    section('✏️ Categorias alteradas', diff.categories.changed, c => `\`${c.id}\` ${c.changes.join(', ')}`);
+    if (diff.categoriesReordered) lines.push('🔀 Ordem das categorias alterada');
+    if (diff.rootMessageChanged) lines.push('📝 Cabeçalho alterado');
+
+    return lines.join('\n');
+}
@@ -0,0 +1,278 @@
+import { getFaqHeader, getFaqsByCategory, getCategoryLabel, getFaqContent } from './faq-loader.mjs';
+import { parseContentMarkers, groupGalleries } from './faq-markup.mjs';
+import { csvCell } from './faq-csv.mjs';
+
+// Exportação do FAQ para publicar fora do Discord (site, wiki, planilhas)
+// Mesmas respostas do menu público: categorias na ordem configurada, sem FAQs restritos a cargos
+// ou fora da janela de visibilidade; marcadores viram imagens, vídeos e links de verdade
+// Usado pelo /faq export e pelo export-faq.mjs (linha de comando)
+export const EXPORT_FORMATS = {
+    json: 'json',
+    markdown: 'md',
+    html: 'html',
+    csv: 'csv',
+};
+
+// FAQs exportados agrupados por categoria: [{ id, label, faqs: [{ key, label, content }] }]
+function collectSections(data, lang) {
+    return (data.categories || [])
+        .map(cat => ({
+            id: cat.id,
+            label: getCategoryLabel(cat.id, lang, data),
+            faqs: getFaqsByCategory(cat.id, lang, data).map(faq => ({
+                key: faq.key,
+                label: faq.label,
+                content: getFaqContent(faq.key, lang, data) || '',
+            })),
+        }))
+        .filter(section => section.faqs.length);
+}
+
+function contentParts(content) {
+    return groupGalleries(parseContentMarkers(content));
+}
+
+// Markdown
+
+function fileToMarkdown(item) {
+    const alt = item.alt || item.caption || '';
+    if (item.spoiler) return `[Spoiler: ${alt || item.url}](${item.url})`;
+    const media = item.fileType === 'video' ? `[🎬 ${alt || item.url}](${item.url})` : `![${alt}](${item.url})`;
+    return item.caption ? `${media}\n*${item.caption}*` : media;
+}
+
+// [faq:] aponta para a âncora do destino; destinos fora da exportação ficam só com o texto
+function partsToMarkdown(parts, exportedKeys) {
+    return parts.map(part => {
+        if (part.type === 'text') return part.content;
+        if (part.type === 'gallery') return part.items.map(fileToMarkdown).join('\n\n');
+        if (part.type === 'link') return `[${part.label}](${part.url})`;
+        if (part.type === 'faq') return exportedKeys.has(part.key) ? `[${part.label}](#${part.key})` : part.label;
+        if (part.type === 'separator') return '---';
+        if (part.type === 'section') {
+            const thumbnail = part.thumbnail ? `![${part.thumbnail.alt || ''}](${part.thumbnail.url})\n\n` : '';
+            return `${thumbnail}${part.content}`;
+        }
+        return '';
+    }).filter(Boolean).join('\n\n');
+}
+
+function toMarkdown(data, lang, sections, exportedKeys) {
+    const lines = [];
+    const header = getFaqHeader(lang, data);
+    if (header) lines.push(header, '');
+
+    for (const section of sections) {
+        lines.push(`## ${section.label}`, '');
+        for (const faq of section.faqs) {
+            lines.push(`<a id="${faq.key}"></a>`, `### ${faq.label}`, '');
+            lines.push(partsToMarkdown(contentParts(faq.content), exportedKeys), '');
+        }
+    }
+
+    return `${lines.join('\n').trim()}\n`;
+}
+
+// HTML
+
+function escapeHtml(text) {
+    return (text || '').toString()
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Markdown do Discord em uma linha: código, links, negrito, sublinhado, itálico, riscado, spoiler e URLs soltas
+function inlineToHtml(text) {
+    return escapeHtml(text)
+        .replace(/`([^`]+)`/g, '<code>$1</code>')
+        .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '<a href="$2">$1</a>')
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/__(.+?)__/g, '<u>$1</u>')
+        .replace(/\*(.+?)\*/g, '<em>$1</em>')
+        .replace(/~~(.+?)~~/g, '<s>$1</s>')
+        .replace(/\|\|(.+?)\|\|/g, '<span class="spoiler">$1</span>')
+        .replace(/(^|[\s(])(https?:\/\/[^\s<)]+)/g, '$1<a href="$2">$2</a>');
+}
+
+// Blocos do markdown do Discord: títulos (um nível abaixo do título do FAQ), subtexto (-#), listas,
+// citações, blocos de código e parágrafos com quebras de linha
+function markdownToHtml(text, headingOffset = 3) {
+    const html = [];
+    let group = null;
+
+    const flush = () => {
+        if (!group) return;
+        if (group.type === 'p') html.push(`<p>${group.lines.map(inlineToHtml).join('<br>')}</p>`);
+        if (group.type === 'ul' || group.type === 'ol') {
+            html.push(`<${group.type}>${group.lines.map(line => `<li>${inlineToHtml(line)}</li>`).join('')}</${group.type}>`);
+        }
+        if (group.type === 'quote') html.push(`<blockquote>${group.lines.map(inlineToHtml).join('<br>')}</blockquote>`);
+        if (group.type === 'code') html.push(`<pre><code>${escapeHtml(group.lines.join('\n'))}</code></pre>`);
+        group = null;
+    };
+
+    const add = (type, line) => {
+        if (group?.type !== type) {
+            flush();
+            group = { type, lines: [] };
+        }
+        group.lines.push(line);
+    };
+
+    for (const line of text.split('\n')) {
+        if (group?.type === 'code') {
+            if (line.trim().startsWith('```')) flush();
+            else group.lines.push(line);
+            continue;
+        }
+
+        let match;
+        if (line.trim().startsWith('```')) {
+            flush();
+            group = { type: 'code', lines: [] };
+        } else if (!line.trim()) {
+            flush();
+        } else if ((match = /^(#{1,3}) (.+)$/.exec(line))) {
+            flush();
+            const level = Math.max(1, Math.min(6, match[1].length + headingOffset));
+            html.push(`<h${level}>${inlineToHtml(match[2])}</h${level}>`);
+        } else if ((match = /^-# (.+)$/.exec(line))) {
+            flush();
+            html.push(`<p><small>${inlineToHtml(match[1])}</small></p>`);
+        } else if ((match = /^\s*[-*] (.+)$/.exec(line))) {
+            add('ul', match[1]);
+        } else if ((match = /^\s*\d+\. (.+)$/.exec(line))) {
+            add('ol', match[1]);
+        } else if ((match = /^>{1,3} ?(.*)$/.exec(line))) {
+            add('quote', match[1]);
+        } else {
+            add('p', line);
+        }
+    }
+    flush();
+
+    return html.join('\n');
+}
+
+function fileToHtml(item) {
+    const alt = escapeHtml(item.alt || item.caption || '');
+    const media = item.fileType === 'video'
+        ? `<video controls src="${escapeHtml(item.url)}"></video>`
+        : `<img src="${escapeHtml(item.url)}" alt="${alt}" loading="lazy">`;
+    const caption = item.caption ? `<figcaption>${inlineToHtml(item.caption)}</figcaption>` : '';
+    const figure = `<figure>${media}${caption}</figure>`;
+    return item.spoiler ? `<details><summary>Spoiler</summary>${figure}</details>` : figure;
+}
+
+function partsToHtml(parts, exportedKeys) {
+    return parts.map(part => {
+        if (part.type === 'text') return markdownToHtml(part.content);
+        if (part.type === 'gallery') return `<div class="faq-gallery">${part.items.map(fileToHtml).join('')}</div>`;
+        if (part.type === 'link') return `<p><a class="faq-button" href="${escapeHtml(part.url)}">${escapeHtml(part.label)}</a></p>`;
+        if (part.type === 'faq') {
+            return exportedKeys.has(part.key)
+                ? `<p><a class="faq-button" href="#${escapeHtml(part.key)}">📖 ${escapeHtml(part.label)}</a></p>`
+                : `<p>${escapeHtml(part.label)}</p>`;
+        }
+        if (part.type === 'separator') return part.large ? '<hr class="large">' : '<hr>';
+        if (part.type === 'section') {
+            const thumbnail = part.thumbnail
+                ? `<img class="faq-thumb" src="${escapeHtml(part.thumbnail.url)}" alt="${escapeHtml(part.thumbnail.alt || '')}">`
+                : '';
+            return `<div class="faq-section"><div>${markdownToHtml(part.content)}</div>${thumbnail}</div>`;
+        }
+        return '';
+    }).filter(Boolean).join('\n');
+}
+
+const HTML_STYLE = `
+body { font-family: system-ui, sans-serif; max-width: 860px; margin: 0 auto; padding: 24px; line-height: 1.6; }
+img, video { max-width: 100%; border-radius: 6px; }
+figure { margin: 12px 0; }
+.faq-gallery { display: grid; grid-template-columns: repeat(auto-fill, minmax(240px, 1fr)); gap: 8px; }
+.faq-section { display: flex; gap: 16px; align-items: flex-start; }
+.faq-thumb { width: 96px; flex-shrink: 0; }
+.faq-button { display: inline-block; padding: 6px 12px; border-radius: 4px; background: #5865f2; color: #fff; text-decoration: none; }
+.spoiler { background: #202225; color: transparent; border-radius: 3px; }
+.spoiler:hover { color: inherit; background: transparent; }
+blockquote { border-left: 4px solid #ccc; margin: 0; padding-left: 12px; }
+nav ul { columns: 2; }
+`;
+
+function toHtml(data, lang, sections, exportedKeys) {
+    const header = getFaqHeader(lang, data);
+    const toc = sections.map(section => `<li><a href="#cat-${escapeHtml(section.id)}">${escapeHtml(section.label)}</a></li>`).join('');
+
+    const body = sections.map(section => [
+        `<section id="cat-${escapeHtml(section.id)}">`,
+        `<h2>${escapeHtml(section.label)}</h2>`,
+        ...section.faqs.map(faq => [
+            `<article id="${escapeHtml(faq.key)}">`,
+            `<h3>${escapeHtml(faq.label)}</h3>`,
+            partsToHtml(contentParts(faq.content), exportedKeys),
+            '</article>',
+        ].join('\n')),
+        '</section>',
+    ].join('\n')).join('\n');
+
+    return [
+        '<!DOCTYPE html>',
+        `<html lang="${escapeHtml(lang)}">`,
+        '<head>',
+        '<meta charset="utf-8">',
+        '<meta name="viewport" content="width=device-width, initial-scale=1">',
+        '<title>FAQ</title>',
+        `<style>${HTML_STYLE}</style>`,
+        '</head>',
+        '<body>',
+        header ? `<header>${markdownToHtml(header, -1)}</header>` : '',
+        `<nav><ul>${toc}</ul></nav>`,
+        body,
+        '</body>',
+        '</html>',
+        '',
+    ].join('\n');
+}
+
+// CSV: uma linha por FAQ, conteúdo em texto com o markdown original e URLs no lugar dos marcadores
+
+function partsToText(parts) {
+    return parts.map(part => {
+        if (part.type === 'text') return part.content;
+        if (part.type === 'gallery') return part.items.map(item => [item.alt || item.caption, item.url].filter(Boolean).join(': ')).join('\n');
+        if (part.type === 'link') return `${part.label}: ${part.url}`;
+        if (part.type === 'faq') return part.label;
+        if (part.type === 'section') return part.content;
+        return '';
+    }).filter(Boolean).join('\n\n');
+}
+
+function toCsv(sections) {
+    const lines = ['category_id,category,faq_key,label,content'];
+    for (const section of sections) {
+        for (const faq of section.faqs) {
+            lines.push([section.id, section.label, faq.key, faq.label, partsToText(contentParts(faq.content))].map(csvCell).join(','));
+        }
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+// Conteúdo exportado em markdown, html ou csv no idioma pedido (faltando tradução, cai para inglês)
+// O formato json é o próprio arquivo e fica a cargo de quem chama
+export function renderFaqExport(data, format, lang = 'en') {
+    const sections = collectSections(data, lang);
+    const exportedKeys = new Set(sections.flatMap(section => section.faqs.map(faq => faq.key)));
+
+    if (format === 'markdown') return toMarkdown(data, lang, sections, exportedKeys);
+    if (format === 'html') return toHtml(data, lang, sections, exportedKeys);
+    if (format === 'csv') return toCsv(sections);
+    throw new Error(`formato de exportação desconhecido: ${format}`);
+}
+
+// Nome do arquivo exportado: o do JSON com o idioma e a extensão do formato (faq.json -> faq-pt.md)
+export function exportFileName(jsonName, format, lang) {
+    if (format === 'json') return jsonName;
+    return `${jsonName.replace(/\.json$/, '')}-${lang}.${EXPORT_FORMATS[format]}`;
+}
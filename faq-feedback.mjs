@@ -0,0 +1,92 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Votos "ajudou / não ajudou" e comentários por FAQ e idioma, separados por servidor
+// Um voto por usuário em cada FAQ/idioma: votar de novo troca o voto anterior
+// Formato: { guilds: { <guildId>: { <chave>: { <idioma>: { <userId>: 'up' | 'down' } } } }, comments: [...] }
+const FEEDBACK_FILE = path.join(process.cwd(), 'feedback.json');
+const MAX_COMMENTS = 500;
+
+let feedback = null;
+
+function loadFeedback() {
+    if (feedback) return feedback;
+    feedback = { guilds: {}, comments: [] };
+
+    if (!fs.existsSync(FEEDBACK_FILE)) return feedback;
+    try {
+        const raw = JSON.parse(fs.readFileSync(FEEDBACK_FILE, 'utf8'));
+        if (raw?.guilds && typeof raw.guilds === 'object') feedback.guilds = raw.guilds;
+        if (Array.isArray(raw?.comments)) feedback.comments = raw.comments;
+    } catch (err) {
+        console.error(`[ERROR] carregar feedback: ${err.message}`);
+    }
+    return feedback;
+}
+
+function saveFeedback() {
+    try {
+        fs.writeFileSync(FEEDBACK_FILE, JSON.stringify(feedback, null, 2));
+    } catch (err) {
+        console.error(`[ERROR] salvar feedback: ${err.message}`);
+    }
+}
+
+export function recordVote({ key, lang, userId, guildId, helpful }) {
+    const data = loadFeedback();
+    const votes = data.guilds[guildId] = data.guilds[guildId] || {};
+    votes[key] = votes[key] || {};
+    votes[key][lang] = votes[key][lang] || {};
+    votes[key][lang][userId] = helpful ? 'up' : 'down';
+    saveFeedback();
+}
+
+export function addComment({ key, lang, userId, guildId, comment }) {
+    const data = loadFeedback();
+    data.comments.push({ ts: Date.now(), key, lang, userId, guildId: guildId || null, comment });
+    if (data.comments.length > MAX_COMMENTS) {
+        data.comments.splice(0, data.comments.length - MAX_COMMENTS);
+    }
+    saveFeedback();
+}
+
+function tallyVotes(key, langs) {
+    const entry = { key, up: 0, down: 0, byLang: {} };
+    for (const [lang, voters] of Object.entries(langs)) {
+        const values = Object.values(voters);
+        const up = values.filter(v => v === 'up').length;
+        const down = values.length - up;
+        entry.byLang[lang] = { up, down };
+        entry.up += up;
+        entry.down += down;
+    }
+    return { ...entry, ratio: entry.up + entry.down ? entry.up / (entry.up + entry.down) : 0 };
+}
+
+// Totais de votos por FAQ em um servidor, com a divisão por idioma
+export function getVoteTotals(guildId) {
+    const votes = loadFeedback().guilds[guildId] || {};
+    return Object.entries(votes).map(([key, langs]) => tallyVotes(key, langs));
+}
+
+// Totais de um FAQ no servidor, ou null se ninguém votou nele
+export function getVoteTotal(guildId, key) {
+    const langs = loadFeedback().guilds[guildId]?.[key];
+    const entry = langs ? tallyVotes(key, langs) : null;
+    return entry && entry.up + entry.down ? entry : null;
+}
+
+// FAQs com pior avaliação primeiro: menor proporção de "ajudou", depois mais votos negativos
+export function getLowestRated(guildId, limit = 10, minVotes = 1) {
+    return getVoteTotals(guildId)
+        .filter(t => t.up + t.down >= minVotes)
+        .sort((a, b) => a.ratio - b.ratio || b.down - a.down)
+        .slice(0, limit);
+}
+
+export function getRecentComments(guildId, limit = 10, key = null) {
+    return loadFeedback().comments
+        .filter(c => c.guildId === guildId && (!key || c.key === key))
+        .slice(-limit)
+        .reverse();
+}
@@ -0,0 +1,149 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { loadFaq, getLoadedSource, normalizeFaqData } from './faq-loader.mjs';
+
+// Conteúdo próprio de cada servidor, em guilds/<guildId>.json
+// Por padrão o arquivo é uma camada sobre o faq.json compartilhado:
+//   - faqs: chaves novas são adicionadas, chaves existentes são substituídas por inteiro, null esconde a chave
+//   - categories: categorias com o mesmo id substituem as da base, as novas vão para o fim
+//   - rootMessage e languages substituem os da base quando presentes
+// Com "extends": false o arquivo é um FAQ completo e independente da base
+const GUILD_FAQ_DIR = path.join(process.cwd(), 'guilds');
+
+// Cache do conteúdo mesclado por guild; invalidado quando a base recarrega ou o arquivo da guild muda
+const cache = new Map();
+
+export function guildFaqFile(guildId) {
+    return path.join(GUILD_FAQ_DIR, `${guildId}.json`);
+}
+
+export function guildFaqFileName(guildId) {
+    return `guilds/${guildId}.json`;
+}
+
+export function hasGuildFaq(guildId) {
+    return !!guildId && fs.existsSync(guildFaqFile(guildId));
+}
+
+export function readGuildFaqRaw(guildId) {
+    if (!hasGuildFaq(guildId)) return null;
+    return JSON.parse(fs.readFileSync(guildFaqFile(guildId), 'utf8'));
+}
+
+export function isStandaloneGuildFaq(raw) {
+    return raw?.extends === false;
+}
+
+// Categorias cruas do arquivo sempre como lista: o formato { id: label } vira [{ id, label }]
+// Compartilhado com a API de administração e o fluxo de tradução, que também leem o JSON cru
+export function rawCategoryList(categories) {
+    if (Array.isArray(categories)) return categories;
+    if (categories && typeof categories === 'object') {
+        return Object.entries(categories).map(([id, label]) => ({ id, label }));
+    }
+    return [];
+}
+
+export function rawCategoryId(cat) {
+    return (cat?.id || cat?.key || '').toString().trim().toLowerCase();
+}
+
+// Aplica a camada da guild sobre o faq.json cru; o resultado ainda passa por normalizeFaqData/validateFaq
+export function mergeGuildFaq(baseRaw, overlay) {
+    if (isStandaloneGuildFaq(overlay)) {
+        const standalone = { ...overlay };
+        delete standalone.extends;
+        return standalone;
+    }
+
+    const merged = { ...baseRaw };
+    if (overlay.rootMessage !== undefined) merged.rootMessage = overlay.rootMessage;
+    if (overlay.languages) merged.languages = { ...(baseRaw.languages || {}), ...overlay.languages };
+
+    const categories = rawCategoryList(baseRaw.categories).slice();
+    for (const cat of rawCategoryList(overlay.categories)) {
+        const idx = categories.findIndex(c => rawCategoryId(c) === rawCategoryId(cat));
+        if (idx >= 0) categories[idx] = cat;
+        else categories.push(cat);
+    }
+    merged.categories = categories;
+
+    merged.faqs = { ...(baseRaw.faqs || {}) };
+    for (const [key, faq] of Object.entries(overlay.faqs || {})) {
+        if (faq === null) delete merged.faqs[key];
+        else merged.faqs[key] = faq;
+    }
+
+    return merged;
+}
+
+// Remove da camada o que é igual à base: FAQs, categorias, rootMessage e idiomas idênticos ao faq.json
+// Sem isso, reimportar um export do faq.json copiaria a base inteira para a guild, que deixaria de
+// receber as edições seguintes da base. Retorna { overlay, pinned } (pinned: FAQs descartados por serem iguais)
+export function pruneGuildOverlay(baseRaw, overlay) {
+    if (isStandaloneGuildFaq(overlay)) return { overlay, pinned: 0 };
+
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const pruned = { ...overlay };
+    let pinned = 0;
+
+    if (overlay.rootMessage !== undefined && same(overlay.rootMessage, baseRaw.rootMessage)) delete pruned.rootMessage;
+
+    if (overlay.languages) {
+        const languages = Object.fromEntries(Object.entries(overlay.languages)
+            .filter(([lang, info]) => !same(info, baseRaw.languages?.[lang])));
+        if (Object.keys(languages).length) pruned.languages = languages;
+        else delete pruned.languages;
+    }
+
+    if (overlay.categories !== undefined) {
+        const baseCategories = rawCategoryList(baseRaw.categories);
+        const categories = rawCategoryList(overlay.categories)
+            .filter(cat => !same(cat, baseCategories.find(c => rawCategoryId(c) === rawCategoryId(cat))));
+        if (categories.length) pruned.categories = categories;
+        else delete pruned.categories;
+    }
+
+    if (overlay.faqs) {
+        pruned.faqs = {};
+        for (const [key, faq] of Object.entries(overlay.faqs)) {
+            if (faq !== null && same(faq, baseRaw.faqs?.[key])) pinned++;
+            else pruned.faqs[key] = faq;
+        }
+    }
+
+    return { overlay: pruned, pinned };
+}
+
+// faq.json cru atualmente carregado pelo faq-loader
+export function getBaseRaw() {
+    loadFaq();
+    const source = getLoadedSource();
+    return source ? JSON.parse(source) : {};
+}
+
+// Conteúdo efetivo da guild, normalizado; sem arquivo próprio é o próprio faq.json
+export function loadGuildFaq(guildId) {
+    if (!hasGuildFaq(guildId)) return loadFaq();
+
+    const filePath = guildFaqFile(guildId);
+    const mtimeMs = fs.statSync(filePath).mtimeMs;
+    const source = getLoadedSource();
+    const cached = cache.get(guildId);
+    if (cached && cached.mtimeMs === mtimeMs && cached.source === source) return cached.data;
+
+    try {
+        const data = normalizeFaqData(mergeGuildFaq(getBaseRaw(), readGuildFaqRaw(guildId)));
+        cache.set(guildId, { mtimeMs, source, data });
+        return data;
+    } catch (err) {
+        console.error(`[ERROR] carregar FAQ da guild ${guildId}: ${err.message}`);
+        return loadFaq();
+    }
+}
+
+export function writeGuildFaq(guildId, raw) {
+    fs.mkdirSync(GUILD_FAQ_DIR, { recursive: true });
+    fs.writeFileSync(guildFaqFile(guildId), JSON.stringify(raw, null, 4));
+    cache.delete(guildId);
+}
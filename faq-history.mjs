@@ -0,0 +1,89 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Histórico de versões do faq.json
+// Cada gravação salva um snapshot em history/ e registra no index.json quem fez e quando
+const HISTORY_DIR = path.join(process.cwd(), 'history');
+const INDEX_FILE = path.join(HISTORY_DIR, 'index.json');
+const MAX_VERSIONS = 50;
+
+function readIndex() {
+    if (!fs.existsSync(INDEX_FILE)) return { versions: [] };
+    try {
+        const data = JSON.parse(fs.readFileSync(INDEX_FILE, 'utf8'));
+        return { versions: Array.isArray(data?.versions) ? data.versions : [] };
+    } catch {
+        return { versions: [] };
+    }
+}
+
+function writeIndex(index) {
+    fs.mkdirSync(HISTORY_DIR, { recursive: true });
+    fs.writeFileSync(INDEX_FILE, JSON.stringify(index, null, 2));
+}
+
+function addSnapshot(index, content, meta) {
+    const last = index.versions[index.versions.length - 1];
+    const version = (last?.version || 0) + 1;
+    const createdAt = new Date().toISOString();
+    const file = `faq-v${version}-${createdAt.replace(/[:.]/g, '-')}.json`;
+
+    fs.mkdirSync(HISTORY_DIR, { recursive: true });
+    fs.writeFileSync(path.join(HISTORY_DIR, file), content);
+
+    const entry = { version, file, createdAt, ...meta };
+    index.versions.push(entry);
+    return entry;
+}
+
+// Remove os snapshots mais antigos além do limite
+function prune(index) {
+    while (index.versions.length > MAX_VERSIONS) {
+        const removed = index.versions.shift();
+        fs.rmSync(path.join(HISTORY_DIR, removed.file), { force: true });
+    }
+}
+
+function countFaqs(content) {
+    try {
+        return Object.keys(JSON.parse(content)?.faqs || {}).length;
+    } catch {
+        return 0;
+    }
+}
+
+// Grava o faq.json e registra a nova versão no histórico
+// Na primeira gravação o arquivo existente vira a versão 1, para não perder o conteúdo original
+// author: { id, tag }; action: 'import', 'rollback', ...
+export function writeFaqVersion(filePath, data, { author = null, action = 'import', note = '' } = {}) {
+    const index = readIndex();
+    const content = JSON.stringify(data, null, 4);
+
+    if (!index.versions.length && fs.existsSync(filePath)) {
+        const previous = fs.readFileSync(filePath, 'utf8');
+        addSnapshot(index, previous, { author: null, action: 'baseline', note: '', faqCount: countFaqs(previous) });
+    }
+
+    fs.writeFileSync(filePath, content);
+    const entry = addSnapshot(index, content, { author, action, note, faqCount: countFaqs(content) });
+
+    prune(index);
+    writeIndex(index);
+    return entry;
+}
+
+// Versões mais recentes primeiro
+export function listVersions(limit = 10) {
+    return readIndex().versions.slice().reverse().slice(0, limit);
+}
+
+export function getVersion(version) {
+    const entry = readIndex().versions.find(v => v.version === version);
+    if (!entry) return null;
+
+    const filePath = path.join(HISTORY_DIR, entry.file);
+    if (!fs.existsSync(filePath)) return null;
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    return { entry, content, data: JSON.parse(content) };
+}
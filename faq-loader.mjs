@@ -3,7 +3,29 @@ import path from 'node:path';
 
 const FAQ_FILE = path.join(process.cwd(), 'faq.json');
 
+// Chaves de FAQ válidas: minúsculas, números e _ (cabem nos customIds e não usam os separadores : e ,)
+export const FAQ_KEY_PATTERN = /^[a-z0-9_]{1,60}$/;
+
 let faqData = null;
+// Texto do arquivo na última carga bem-sucedida, para o watcher ignorar gravações já carregadas
+let loadedSource = null;
+
+// Nome de exibição e bandeira dos idiomas mais comuns
+// Pode ser sobrescrito ou estendido pela seção "languages" do faq.json
+const LANGUAGE_INFO = {
+    en: { name: 'English', emoji: '🇺🇸' },
+    pt: { name: 'Português', emoji: '🇧🇷' },
+    es: { name: 'Español', emoji: '🇪🇸' },
+    fr: { name: 'Français', emoji: '🇫🇷' },
+    de: { name: 'Deutsch', emoji: '🇩🇪' },
+    it: { name: 'Italiano', emoji: '🇮🇹' },
+    pl: { name: 'Polski', emoji: '🇵🇱' },
+    ru: { name: 'Русский', emoji: '🇷🇺' },
+    tr: { name: 'Türkçe', emoji: '🇹🇷' },
+    ja: { name: '日本語', emoji: '🇯🇵' },
+    ko: { name: '한국어', emoji: '🇰🇷' },
+    zh: { name: '中文', emoji: '🇨🇳' },
+};
 
 // Copia todas as chaves de idioma de um objeto, garantindo que o fallback existe
 function copyLanguageKeys(source, fallbackLang = 'en') {
@@ -25,31 +47,87 @@ function copyLanguageKeys(source, fallbackLang = 'en') {
     return result;
 }
 
+// Aceita label como string (inglês) ou mapa de idiomas, retornando o label padrão e o mapa completo
+function normalizeLabels(value, fallback) {
+    const labels = typeof value === 'string'
+        ? { en: value }
+        : copyLanguageKeys(value);
+    const label = labels.en || Object.values(labels).find(Boolean) || fallback;
+    if (!labels.en) labels.en = label;
+    return { label, labels };
+}
+
+// Listas de textos do faq.json: palavras-chave e apelidos (busca e sugestões automáticas), cargos exigidos
+// Aceita lista, texto separado por vírgulas ou mapa de idiomas com qualquer um dos dois; retorna uma lista única
+function normalizeStringList(...sources) {
+    const keywords = new Set();
+    const collect = (value) => {
+        if (typeof value === 'string') {
+            value.split(',').map(v => v.trim()).filter(Boolean).forEach(v => keywords.add(v));
+        } else if (Array.isArray(value)) {
+            value.forEach(collect);
+        } else if (value && typeof value === 'object') {
+            Object.values(value).forEach(collect);
+        }
+    };
+    sources.forEach(collect);
+    return [...keywords];
+}
+
+// Janela de visibilidade (visibleFrom/visibleUntil): data ISO ou timestamp em ms; inválida ou ausente vira null
+function parseVisibilityDate(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isFinite(time) ? time : null;
+}
+
+// FAQ dentro da sua janela de visibilidade no instante informado; sem janela está sempre visível
+export function isFaqVisible(faq, now = Date.now()) {
+    if (faq?.visibleFrom && now < faq.visibleFrom) return false;
+    if (faq?.visibleUntil && now >= faq.visibleUntil) return false;
+    return true;
+}
+
+// Escolhe o texto no idioma pedido, caindo para inglês
+export function pickLanguage(map, lang = 'en') {
+    return map?.[lang] || map?.en || '';
+}
+
 // Normaliza dados do FAQ de diferentes formatos de entrada
 // Suporta categorias como array ou objeto, deriva categorias dos FAQs se necessário
-function normalizeFaqData(raw) {
+export function normalizeFaqData(raw) {
     const base = { rootMessage: { en: '' }, categories: [], faqs: {} };
     if (!raw || typeof raw !== 'object') return base;
 
-    const result = { rootMessage: {}, categories: [], faqs: {} };
+    const result = { rootMessage: {}, languages: {}, categories: [], faqs: {} };
     
     const rootSource = raw.rootMessage || raw.header || {};
     result.rootMessage = copyLanguageKeys(rootSource);
 
+    if (raw.languages && typeof raw.languages === 'object') {
+        for (const [lang, info] of Object.entries(raw.languages)) {
+            if (!info || typeof info !== 'object') continue;
+            result.languages[lang] = {
+                name: info.name || LANGUAGE_INFO[lang]?.name || lang.toUpperCase(),
+                emoji: info.emoji || LANGUAGE_INFO[lang]?.emoji || '🌐',
+            };
+        }
+    }
+
     const seen = new Set();
     if (Array.isArray(raw.categories)) {
         for (const cat of raw.categories) {
-            const id = (cat.id || cat.key || cat.label || '').toString().trim().toLowerCase() || null;
+            const fallbackId = typeof cat.label === 'string' ? cat.label : '';
+            const id = (cat.id || cat.key || fallbackId).toString().trim().toLowerCase() || null;
             if (!id || seen.has(id)) continue;
-            result.categories.push({ id, label: cat.label || id });
+            result.categories.push({ id, ...normalizeLabels(cat.labels || cat.label, id), roles: normalizeStringList(cat.roles) });
             seen.add(id);
         }
     } else if (raw.categories && typeof raw.categories === 'object') {
         for (const [key, value] of Object.entries(raw.categories)) {
             const id = key.toString().trim().toLowerCase();
             if (!id || seen.has(id)) continue;
-            const label = (typeof value === 'object' ? (value.en || Object.values(value)[0]) : value) || id;
-            result.categories.push({ id, label });
+            result.categories.push({ id, ...normalizeLabels(value, id), roles: [] });
             seen.add(id);
         }
     }
@@ -60,7 +138,7 @@ function normalizeFaqData(raw) {
             const safeKey = key.toString();
             const categoryId = (faq.categoryId || faq.category || 'general').toString().toLowerCase();
             if (categoryId && !seen.has(categoryId)) {
-                result.categories.push({ id: categoryId, label: categoryId });
+                result.categories.push({ id: categoryId, label: categoryId, labels: { en: categoryId }, roles: [] });
                 seen.add(categoryId);
             }
             
@@ -69,14 +147,18 @@ function normalizeFaqData(raw) {
             
             result.faqs[safeKey] = {
                 categoryId,
-                label: faq.label || faq.labels?.en || safeKey,
+                ...normalizeLabels(faq.labels || faq.label, safeKey),
+                keywords: normalizeStringList(faq.keywords, faq.aliases),
+                roles: normalizeStringList(faq.roles),
+                visibleFrom: parseVisibilityDate(faq.visibleFrom),
+                visibleUntil: parseVisibilityDate(faq.visibleUntil),
                 content
             };
         }
     }
 
     if (!result.categories.length) {
-        result.categories.push({ id: 'general', label: 'General' });
+        result.categories.push({ id: 'general', label: 'General', labels: { en: 'General' }, roles: [] });
     }
 
     return result;
@@ -94,10 +176,11 @@ export function loadFaq(force = false) {
         const raw = fs.readFileSync(FAQ_FILE, 'utf8');
         const parsed = JSON.parse(raw);
         faqData = normalizeFaqData(parsed);
+        loadedSource = raw;
 
         const faqCount = Object.keys(faqData.faqs || {}).length;
         const catCount = (faqData.categories || []).length;
-        const langs = Object.keys(faqData.rootMessage || {});
+        const langs = getAvailableLanguages(faqData);
         console.log(`[FAQ] carregado: ${faqCount} FAQs em ${catCount} categorias, idiomas: ${langs.join(', ')}`);
 
         return faqData;
@@ -107,15 +190,48 @@ export function loadFaq(force = false) {
     }
 }
 
-export function getFaqContent(key, lang = 'en') {
-    const data = loadFaq();
+export function getFaqContent(key, lang = 'en', data = loadFaq()) {
     if (!data?.faqs?.[key]) return null;
-    const content = data.faqs[key].content;
-    return content?.[lang] || content?.en || null;
+    return pickLanguage(data.faqs[key].content, lang) || null;
 }
 
-export function getFaqsByCategory(category) {
-    const data = loadFaq();
+export function getFaqLabel(key, lang = 'en', data = loadFaq()) {
+    const faq = data?.faqs?.[key];
+    if (!faq) return null;
+    return pickLanguage(faq.labels, lang) || faq.label;
+}
+
+export function getCategoryLabel(categoryId, lang = 'en', data = loadFaq()) {
+    const cat = data?.categories?.find(c => c.id === categoryId);
+    if (!cat) return categoryId;
+    return pickLanguage(cat.labels, lang) || cat.label;
+}
+
+// Cargos exigidos (ids ou nomes, sem diferenciar maiúsculas): basta um dos cargos de cada lista
+function matchesRoles(required, roles) {
+    if (!required?.length) return true;
+    const owned = new Set(roles.map(role => role.toString().toLowerCase()));
+    return required.some(role => owned.has(role.toLowerCase()));
+}
+
+// FAQ restrito a cargos, por ele mesmo ou pela categoria
+export function isFaqRestricted(key, data = loadFaq()) {
+    const faq = data?.faqs?.[key];
+    const cat = data?.categories?.find(c => c.id === faq?.categoryId);
+    return !!(faq?.roles?.length || cat?.roles?.length);
+}
+
+// Membro com acesso ao FAQ: precisa atender aos cargos da categoria e aos do próprio FAQ
+// roles: ids e nomes dos cargos do membro; [] é alguém sem cargos e só vê os FAQs abertos
+export function canAccessFaq(key, roles = [], data = loadFaq()) {
+    const faq = data?.faqs?.[key];
+    if (!faq) return false;
+    const cat = data.categories?.find(c => c.id === faq.categoryId);
+    return matchesRoles(cat?.roles, roles) && matchesRoles(faq.roles, roles);
+}
+
+// roles: cargos de quem vai ver a lista (ver canAccessFaq); o padrão mostra só os FAQs abertos
+export function getFaqsByCategory(category, lang = 'en', data = loadFaq(), roles = []) {
     if (!data?.faqs) return [];
 
     const result = [];
@@ -123,34 +239,65 @@ export function getFaqsByCategory(category) {
         const hasContent = faq?.content && Object.values(faq.content).some(v => v && v.trim());
         const hasLabel = faq?.label;
 
-        if (faq.categoryId === category && hasContent && hasLabel) {
+        if (faq.categoryId === category && hasContent && hasLabel && isFaqVisible(faq) && canAccessFaq(key, roles, data)) {
             result.push({
                 key,
-                label: faq.label.substring(0, 100),
+                label: (pickLanguage(faq.labels, lang) || faq.label).substring(0, 100),
             });
         }
     }
     return result;
 }
 
-export function faqExists(key) {
-    const data = loadFaq();
-    return key in (data?.faqs || {});
+// FAQs fora da janela de visibilidade contam como inexistentes, exceto com includeHidden (edição pelos admins)
+export function faqExists(key, data = loadFaq(), { includeHidden = false } = {}) {
+    const faq = data?.faqs?.[key];
+    if (!faq) return false;
+    return includeHidden || isFaqVisible(faq);
 }
 
 export function reloadFaq() {
     return loadFaq(true);
 }
 
-export function getFaqHeader(lang = 'en') {
-    const data = loadFaq();
+export function getLoadedSource() {
+    return loadedSource;
+}
+
+export function getFaqHeader(lang = 'en', data = loadFaq()) {
     return data?.rootMessage?.[lang] || data?.rootMessage?.en || '';
 }
 
-export function getAvailableLanguages() {
-    const data = loadFaq();
-    if (!data?.rootMessage) return ['en'];
-    return Object.keys(data.rootMessage);
+// Idiomas com algum texto no cabeçalho ou no conteúdo dos FAQs, inglês primeiro
+export function getAvailableLanguages(data = loadFaq()) {
+    const langs = new Set(['en']);
+    const sources = [data?.rootMessage, ...Object.values(data?.faqs || {}).map(f => f.content)];
+    for (const source of sources) {
+        for (const [lang, value] of Object.entries(source || {})) {
+            if (value && value.trim()) langs.add(lang);
+        }
+    }
+    return [...langs];
 }
 
-loadFaq();
+// Idiomas em que um FAQ específico tem conteúdo
+export function getFaqLanguages(key, data = loadFaq()) {
+    const content = data?.faqs?.[key]?.content || {};
+    const langs = Object.keys(content).filter(lang => content[lang] && content[lang].trim());
+    return langs.length ? langs : ['en'];
+}
+
+// Converte um locale do Discord (pt-BR, en-US, es-419) para um idioma disponível no FAQ
+// Tenta o locale exato, depois o idioma base; retorna null se nenhum existir
+export function matchLocale(locale, data = loadFaq()) {
+    if (!locale) return null;
+    const available = getAvailableLanguages(data);
+    const exact = available.find(lang => lang.toLowerCase() === locale.toLowerCase());
+    if (exact) return exact;
+    const base = locale.split('-')[0].toLowerCase();
+    return available.find(lang => lang.toLowerCase() === base) || null;
+}
+
+export function getLanguageInfo(lang, data = loadFaq()) {
+    return data?.languages?.[lang] || LANGUAGE_INFO[lang] || { name: lang.toUpperCase(), emoji: '🌐' };
+}
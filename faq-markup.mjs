@@ -0,0 +1,125 @@
+// Marcadores de conteúdo do FAQ
+// [file:url|alt|legenda]            imagem ou vídeo; imagens seguidas viram uma galeria
+// [spoiler-file:url|alt|legenda]    igual ao file, mas escondido atrás de spoiler
+// [link:url|label]                  botão de link
+// [faq:chave|label]                 botão que abre outro FAQ
+// [separator] / [separator:large]   linha divisória
+// [section:thumb|alt]texto[/section] texto com miniatura ao lado
+
+function resolveFileUrl(fileRef) {
+    if (fileRef.startsWith('http://') || fileRef.startsWith('https://')) return fileRef;
+    if (fileRef.includes('.')) return `https://${fileRef}`;
+    return null;
+}
+
+export function detectFileType(url) {
+    const lowerUrl = url.toLowerCase();
+    if (lowerUrl.endsWith('.webm') || lowerUrl.endsWith('.mp4') || lowerUrl.endsWith('.webp')) return 'video';
+    return 'image';
+}
+
+// Parse dos marcadores no texto do FAQ
+// Extrai posições, ordena por índice e reconstrói o conteúdo em partes sequenciais
+export function parseContentMarkers(text) {
+    const patterns = [
+        { type: 'section', regex: /\[section:([^\]|]+)(?:\|([^\]]*))?\]([\s\S]*?)\[\/section\]/g },
+        { type: 'file', regex: /\[(spoiler-)?file:([^\]|]+)(?:\|([^\]|]*))?(?:\|([^\]]*))?\]/g },
+        { type: 'link', regex: /\[link:(https?:\/\/[^\]|]+)\|([^\]]+)\]/g },
+        { type: 'faq', regex: /\[faq:([^\]|\s:,]+)\|([^\]]+)\]/g },
+        { type: 'separator', regex: /\[separator(:large)?\]/g },
+    ];
+    const parts = [];
+    const markers = [];
+
+    for (const { type, regex } of patterns) {
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+            markers.push({ type, index: match.index, length: match[0].length, match });
+        }
+    }
+
+    markers.sort((a, b) => a.index - b.index);
+    let lastIndex = 0;
+
+    for (const marker of markers) {
+        // Marcadores dentro de uma seção já consumida são tratados como texto dela
+        if (marker.index < lastIndex) continue;
+
+        // Texto antes do marcador
+        if (marker.index > lastIndex) {
+            const textContent = text.slice(lastIndex, marker.index).trim();
+            if (textContent) parts.push({ type: 'text', content: textContent });
+        }
+
+        const m = marker.match;
+        if (marker.type === 'file') {
+            const fileUrl = resolveFileUrl(m[2].trim());
+            if (fileUrl) {
+                parts.push({
+                    type: 'file',
+                    url: fileUrl,
+                    fileType: detectFileType(fileUrl),
+                    spoiler: !!m[1],
+                    alt: m[3]?.trim() || null,
+                    caption: m[4]?.trim() || null,
+                });
+            }
+        } else if (marker.type === 'link') {
+            parts.push({ type: 'link', url: m[1], label: m[2] });
+        } else if (marker.type === 'faq') {
+            parts.push({ type: 'faq', key: m[1], label: m[2] });
+        } else if (marker.type === 'separator') {
+            parts.push({ type: 'separator', large: !!m[1] });
+        } else if (marker.type === 'section') {
+            // Dentro da seção só cabe texto: links viram markdown e arquivos são descartados
+            const thumbnailUrl = resolveFileUrl(m[1].trim());
+            const content = m[3]
+                .replace(/\[link:(https?:\/\/[^\]|]+)\|([^\]]+)\]/g, '[$2]($1)')
+                .replace(/\[(?:spoiler-)?file:[^\]]+\]/g, '')
+                .trim();
+            if (content) {
+                parts.push({
+                    type: 'section',
+                    content,
+                    thumbnail: thumbnailUrl ? { url: thumbnailUrl, alt: m[2]?.trim() || null } : null,
+                });
+            }
+        }
+
+        lastIndex = marker.index + marker.length;
+    }
+
+    // Texto restante após o último marcador
+    if (lastIndex < text.length) {
+        const textContent = text.slice(lastIndex).trim();
+        if (textContent) parts.push({ type: 'text', content: textContent });
+    }
+
+    return parts;
+}
+
+// Agrupa arquivos consecutivos em galerias de até 10 itens (limite do MediaGallery)
+// Retorna as partes com { type: 'gallery', items } no lugar dos arquivos
+export function groupGalleries(parts, maxItems = 10) {
+    const grouped = [];
+    for (const part of parts) {
+        const last = grouped[grouped.length - 1];
+        if (part.type === 'file' && last?.type === 'gallery' && last.items.length < maxItems) {
+            last.items.push(part);
+        } else if (part.type === 'file') {
+            grouped.push({ type: 'gallery', items: [part] });
+        } else {
+            grouped.push(part);
+        }
+    }
+    return grouped;
+}
+
+// Texto puro do conteúdo, sem marcadores de mídia; labels de links e texto de seções são mantidos
+export function stripMarkers(text) {
+    return (text || '')
+        .replace(/\[section:[^\]]*\]([\s\S]*?)\[\/section\]/g, ' $1 ')
+        .replace(/\[(?:spoiler-)?file:[^\]]+\]/g, ' ')
+        .replace(/\[(?:link|faq):[^\]|]+\|([^\]]+)\]/g, ' $1 ')
+        .replace(/\[separator(?::large)?\]/g, ' ');
+}
@@ -0,0 +1,30 @@
+import { loadFaq, pickLanguage } from './faq-loader.mjs';
+
+// Mudanças de visibilidade programadas (visibleFrom/visibleUntil) depois de um instante
+// Retorna [{ at, key, label, categoryId, type }] em ordem cronológica; type 'show' abre e 'hide' fecha a janela
+export function listScheduleChanges(data = loadFaq(), since = Date.now(), lang = 'en') {
+    if (!data?.faqs) return [];
+
+    const changes = [];
+    for (const [key, faq] of Object.entries(data.faqs)) {
+        const label = pickLanguage(faq.labels, lang) || faq.label || key;
+        if (faq.visibleFrom && faq.visibleFrom > since) {
+            changes.push({ at: faq.visibleFrom, key, label, categoryId: faq.categoryId, type: 'show' });
+        }
+        if (faq.visibleUntil && faq.visibleUntil > since) {
+            changes.push({ at: faq.visibleUntil, key, label, categoryId: faq.categoryId, type: 'hide' });
+        }
+    }
+
+    return changes.sort((a, b) => a.at - b.at);
+}
+
+// Instante da próxima mudança de visibilidade, ou null se não houver nenhuma programada
+export function nextScheduleChange(data = loadFaq(), since = Date.now()) {
+    return listScheduleChanges(data, since)[0]?.at ?? null;
+}
+
+// Houve alguma mudança de visibilidade no intervalo (since, until]
+export function hasScheduleChangeBetween(data, since, until) {
+    return listScheduleChanges(data, since).some(change => change.at <= until);
+}
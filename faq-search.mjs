@@ -0,0 +1,117 @@
+import { loadFaq, isFaqVisible, canAccessFaq } from './faq-loader.mjs';
+import { stripMarkers } from './faq-markup.mjs';
+
+// Remove acentos e caixa para comparar "missão" com "missao", "Classe" com "classe"
+function normalizeText(text) {
+    return (text || '')
+        .toString()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+}
+
+function tokenize(text) {
+    return normalizeText(text).split(/[^a-z0-9]+/).filter(t => t.length > 1);
+}
+
+// Pontua um FAQ para a consulta: label pesa mais que conteúdo, frase exata pesa mais que termos soltos
+// Labels, palavras-chave e conteúdos de todos os idiomas contam
+function scoreFaq(faq, phrase, terms) {
+    const labels = Object.values(faq.labels || { en: faq.label }).map(normalizeText);
+    const keywords = (faq.keywords || []).map(normalizeText);
+    const contents = Object.values(faq.content || {}).map(v => normalizeText(stripMarkers(v)));
+
+    let score = 0;
+    if (labels.some(l => l.includes(phrase))) score += 10;
+    if (keywords.some(k => k.includes(phrase))) score += 8;
+    if (contents.some(c => c.includes(phrase))) score += 4;
+
+    for (const term of terms) {
+        if (labels.some(l => l.includes(term))) score += 3;
+        if (keywords.some(k => k.includes(term))) score += 2;
+        if (contents.some(c => c.includes(term))) score += 1;
+    }
+
+    return score;
+}
+
+// Busca FAQs por correspondência no label e no conteúdo de todos os idiomas
+// Retorna [{ key, label, score }] ordenado por relevância
+// includeHidden: inclui FAQs fora da janela de visibilidade (autocomplete dos comandos de edição)
+// roles: cargos de quem busca, para deixar de fora FAQs restritos (ver canAccessFaq); null não filtra
+export function searchFaqs(query, limit = 25, data = loadFaq(), { includeHidden = false, roles = null } = {}) {
+    if (!data?.faqs) return [];
+
+    const phrase = normalizeText(query).trim();
+    const terms = tokenize(query);
+    const results = [];
+
+    for (const [key, faq] of Object.entries(data.faqs)) {
+        const hasContent = faq?.content && Object.values(faq.content).some(v => v && v.trim());
+        if (!faq?.label || !hasContent || (!includeHidden && !isFaqVisible(faq))) continue;
+        if (roles && !canAccessFaq(key, roles, data)) continue;
+
+        // Sem consulta: lista tudo na ordem do arquivo para o autocomplete não vir vazio
+        const score = phrase ? scoreFaq(faq, phrase, terms) : 1;
+        if (score > 0) results.push({ key, label: faq.label.substring(0, 100), score });
+    }
+
+    results.sort((a, b) => b.score - a.score);
+    return results.slice(0, limit);
+}
+
+// Palavras comuns (en/pt/es) que não dizem nada sobre o assunto de uma mensagem
+const STOPWORDS = new Set([
+    'the', 'and', 'for', 'how', 'what', 'why', 'when', 'where', 'can', 'does', 'you', 'are', 'this', 'that', 'with', 'there', 'have', 'get',
+    'que', 'como', 'para', 'por', 'com', 'uma', 'um', 'quando', 'onde', 'qual', 'tem', 'isso', 'esse', 'essa', 'alguem', 'sobre', 'pra',
+    'los', 'las', 'del', 'una', 'hay', 'cual', 'esto', 'donde', 'porque', 'puedo', 'posso',
+]);
+
+function significantTerms(text) {
+    return new Set(tokenize(text).filter(t => t.length > 2 && !STOPWORDS.has(t)));
+}
+
+// Fração dos termos de referência que aparecem na mensagem
+function coverage(referenceTerms, messageTerms) {
+    if (!referenceTerms.size) return 0;
+    let hits = 0;
+    for (const term of referenceTerms) if (messageTerms.has(term)) hits++;
+    return hits / referenceTerms.size;
+}
+
+// Sugestão automática para uma mensagem do chat: o FAQ mais provável e a confiança (0 a 1)
+// Uma palavra-chave inteira na mensagem é o sinal mais forte; depois, quanto do label (no melhor idioma)
+// aparece na mensagem; termos em comum com o conteúdo só desempatam
+// A sugestão é pública no canal, então FAQs restritos a cargos ficam de fora
+// Retorna null sem termos suficientes, abaixo do limiar ou quando dois FAQs empatam
+export function suggestFaq(text, data = loadFaq(), threshold = 0.6) {
+    if (!data?.faqs) return null;
+
+    const messageTerms = significantTerms(text);
+    if (messageTerms.size < 2) return null;
+    const padded = ` ${normalizeText(text).replace(/[^a-z0-9]+/g, ' ')} `;
+
+    const candidates = [];
+    for (const [key, faq] of Object.entries(data.faqs)) {
+        const hasContent = faq?.content && Object.values(faq.content).some(v => v && v.trim());
+        if (!faq?.label || !hasContent || !isFaqVisible(faq) || !canAccessFaq(key, [], data)) continue;
+
+        const keywordHit = (faq.keywords || []).some(k => {
+            const phrase = normalizeText(k).replace(/[^a-z0-9]+/g, ' ').trim();
+            return phrase && padded.includes(` ${phrase} `);
+        });
+        const labelScore = Math.max(0, ...Object.values(faq.labels || { en: faq.label })
+            .map(label => coverage(significantTerms(label), messageTerms)));
+        const contentScore = Math.max(0, ...Object.values(faq.content || {})
+            .map(content => coverage(messageTerms, significantTerms(stripMarkers(content)))));
+
+        const confidence = Math.min(1, (keywordHit ? 0.6 : 0) + labelScore * 0.6 + contentScore * 0.3);
+        if (confidence > 0) candidates.push({ key, label: faq.label.substring(0, 100), confidence });
+    }
+
+    candidates.sort((a, b) => b.confidence - a.confidence);
+    const [best, second] = candidates;
+    if (!best || best.confidence < threshold) return null;
+    if (second && best.confidence - second.confidence < 0.05) return null;
+    return best;
+}
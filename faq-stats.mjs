@@ -0,0 +1,86 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { csvCell } from './faq-csv.mjs';
+
+// Registro de visualizações do FAQ
+// Cada interação vira uma linha JSON em stats.jsonl: append é barato e o arquivo sobrevive a reinícios
+const STATS_FILE = path.join(process.cwd(), 'stats.jsonl');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// type: 'select' (abriu pelo menu), 'search' (abriu pelo /faq search), 'link' (abriu por um [faq:] de outra resposta),
+// 'suggest' (abriu pela sugestão automática no chat), 'lang' (trocou de idioma)
+export function recordEvent({ guildId, key, lang, type }) {
+    const event = { ts: Date.now(), guildId: guildId || null, key, lang, type };
+    try {
+        fs.appendFileSync(STATS_FILE, `${JSON.stringify(event)}\n`);
+    } catch (err) {
+        console.error(`[ERROR] registrar estatística: ${err.message}`);
+    }
+}
+
+// Lê os eventos, opcionalmente filtrando por período e guild
+export function readEvents({ since = 0, until = Infinity, guildId = null } = {}) {
+    if (!fs.existsSync(STATS_FILE)) return [];
+
+    const events = [];
+    const lines = fs.readFileSync(STATS_FILE, 'utf8').split('\n');
+    for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+            const event = JSON.parse(line);
+            if (event.ts < since || event.ts >= until) continue;
+            if (guildId && event.guildId !== guildId) continue;
+            events.push(event);
+        } catch {
+            // Linha corrompida (ex.: escrita interrompida), ignora
+        }
+    }
+    return events;
+}
+
+// Resume os eventos de um período: mais e menos vistos, idiomas e visualizações por dia
+// keys: todas as chaves atuais do FAQ, para que FAQs nunca abertos apareçam entre os menos vistos
+export function summarizeStats(events, keys, { since, until = Date.now(), previous = [] } = {}) {
+    const views = events.filter(e => e.type !== 'lang');
+    const perKey = new Map(keys.map(key => [key, 0]));
+    const perLang = new Map();
+
+    for (const event of views) {
+        perKey.set(event.key, (perKey.get(event.key) || 0) + 1);
+        perLang.set(event.lang, (perLang.get(event.lang) || 0) + 1);
+    }
+
+    const ranked = [...perKey.entries()]
+        .filter(([key]) => keys.includes(key))
+        .sort((a, b) => b[1] - a[1]);
+
+    // Tendência: visualizações por dia no período (até 14 dias) e comparação com o período anterior
+    const start = since || views.reduce((min, e) => Math.min(min, e.ts), until);
+    const days = Math.min(14, Math.max(1, Math.round((until - start) / DAY_MS)));
+    const daily = Array.from({ length: days }, (_, idx) => {
+        const dayStart = until - (days - idx) * DAY_MS;
+        return {
+            date: new Date(dayStart + DAY_MS).toISOString().substring(0, 10),
+            count: views.filter(e => e.ts >= dayStart && e.ts < dayStart + DAY_MS).length,
+        };
+    });
+
+    return {
+        totalViews: views.length,
+        languageSwitches: events.length - views.length,
+        previousViews: previous.filter(e => e.type !== 'lang').length,
+        top: ranked.slice(0, 5),
+        least: ranked.slice(-5).reverse(),
+        languages: [...perLang.entries()].sort((a, b) => b[1] - a[1]),
+        daily,
+    };
+}
+
+export function eventsToCsv(events) {
+    const lines = ['timestamp,guild_id,faq_key,lang,type'];
+    for (const e of events) {
+        lines.push([new Date(e.ts).toISOString(), e.guildId, e.key, e.lang, e.type].map(csvCell).join(','));
+    }
+    return lines.join('\n');
+}
@@ -0,0 +1,313 @@
+import { listVersions, getVersion } from './faq-history.mjs';
+import { csvCell } from './faq-csv.mjs';
+import { rawCategoryList, rawCategoryId } from './faq-guilds.mjs';
+
+// Fluxo de tradução do faq.json
+// Todo texto traduzível vira uma chave plana: rootMessage, category.<id>.label, faq.<chave>.label, faq.<chave>.content
+// Tudo é lido do JSON cru: o normalizeFaqData preenche o inglês ausente e o getFaqContent cai para o inglês,
+// o que esconderia justamente as traduções que faltam
+export const TRANSLATION_FORMATS = ['csv', 'po'];
+const SOURCE_LANG = 'en';
+const LANG_CODE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,4})?$/i;
+
+// Código de idioma vindo de um arquivo: ferramentas de gettext escrevem pt_BR, o FAQ e o Discord usam pt-br/pt-BR
+function normalizeLangCode(code) {
+    return (code || '').trim().replace(/_/g, '-').toLowerCase();
+}
+
+function languageMap(value) {
+    if (typeof value === 'string') return { [SOURCE_LANG]: value };
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+    return Object.fromEntries(Object.entries(value).filter(([, text]) => typeof text === 'string'));
+}
+
+// Textos traduzíveis do faq.json cru: Map<chave plana, { idioma: texto }>, na ordem do arquivo
+export function flattenTranslations(raw) {
+    const entries = new Map();
+    entries.set('rootMessage', languageMap(raw?.rootMessage ?? raw?.header));
+
+    for (const cat of rawCategoryList(raw?.categories)) {
+        const id = rawCategoryId(cat);
+        if (id) entries.set(`category.${id}.label`, languageMap(cat.labels ?? cat.label));
+    }
+
+    for (const [key, faq] of Object.entries(raw?.faqs || {})) {
+        if (!faq || typeof faq !== 'object') continue;
+        entries.set(`faq.${key}.label`, languageMap(faq.labels ?? faq.label));
+        entries.set(`faq.${key}.content`, languageMap(faq.content));
+    }
+
+    return entries;
+}
+
+// Idiomas do arquivo: os declarados em languages e os que aparecem em algum texto, inglês primeiro
+export function translationLanguages(raw) {
+    const langs = new Set([SOURCE_LANG, ...Object.keys(raw?.languages || {})]);
+    for (const texts of flattenTranslations(raw).values()) {
+        for (const [lang, text] of Object.entries(texts)) if (text.trim()) langs.add(lang);
+    }
+    return [...langs];
+}
+
+// Textos de cada snapshot do histórico, por versão: snapshots não mudam depois de gravados, então cada um
+// é lido do disco uma vez só; versões que saíram do histórico são descartadas
+const snapshotCache = new Map();
+
+function historySnapshots() {
+    const versions = listVersions(Infinity).reverse().map(entry => entry.version);
+    for (const version of snapshotCache.keys()) {
+        if (!versions.includes(version)) snapshotCache.delete(version);
+    }
+
+    const snapshots = [];
+    for (const version of versions) {
+        if (!snapshotCache.has(version)) {
+            const snapshot = getVersion(version);
+            if (!snapshot) continue;
+            snapshotCache.set(version, flattenTranslations(snapshot.data));
+        }
+        snapshots.push({ version, entries: snapshotCache.get(version) });
+    }
+    return snapshots;
+}
+
+// Versão em que cada texto mudou pela última vez, por chave e idioma, percorrendo o histórico do faq.json
+// A versão mais antiga disponível conta como o ponto de partida de tudo o que já existia nela
+// O conteúdo atual entra como uma versão a mais quando difere do último snapshot (edição fora do bot)
+function lastChanges(raw) {
+    const snapshots = historySnapshots();
+
+    const latest = snapshots[snapshots.length - 1];
+    snapshots.push({ version: (latest?.version || 0) + 1, entries: flattenTranslations(raw), current: true });
+
+    const changes = new Map();
+    let previous = new Map();
+    for (const { version, entries } of snapshots) {
+        for (const [key, texts] of entries) {
+            const before = previous.get(key) || {};
+            const keyChanges = changes.get(key) || {};
+            for (const [lang, text] of Object.entries(texts)) {
+                if (before[lang] !== text) keyChanges[lang] = version;
+            }
+            changes.set(key, keyChanges);
+        }
+        previous = entries;
+    }
+    return { changes, currentVersion: snapshots[snapshots.length - 1].version, hasHistory: snapshots.length > 1 };
+}
+
+// Situação de cada texto em um idioma: 'missing' (sem tradução), 'stale' (o inglês mudou depois da
+// última mudança da tradução) ou 'ok'; para o inglês, 'missing' é texto de origem vazio
+// Retorna [{ key, source, text, status, sourceVersion, textVersion }]
+export function translationStatus(raw, lang, history = lastChanges(raw)) {
+    const rows = [];
+    for (const [key, texts] of flattenTranslations(raw)) {
+        const source = texts[SOURCE_LANG] || '';
+        const text = texts[lang] || '';
+        // Textos vazios em todos os idiomas (ex.: sem rootMessage) não são traduções pendentes
+        if (!Object.values(texts).some(value => value.trim())) continue;
+        if (!source.trim() && lang !== SOURCE_LANG) continue;
+
+        const keyChanges = history.changes.get(key) || {};
+        let status = 'ok';
+        if (!text.trim()) status = 'missing';
+        else if (lang !== SOURCE_LANG && keyChanges[SOURCE_LANG] > keyChanges[lang]) status = 'stale';
+
+        rows.push({ key, source, text, status, sourceVersion: keyChanges[SOURCE_LANG], textVersion: keyChanges[lang] });
+    }
+    return rows;
+}
+
+// Cobertura por idioma: [{ lang, total, translated, missing, stale }]
+export function translationCoverage(raw) {
+    const history = lastChanges(raw);
+    const coverage = translationLanguages(raw).map(lang => {
+        const rows = translationStatus(raw, lang, history);
+        const missing = rows.filter(row => row.status === 'missing').length;
+        const stale = rows.filter(row => row.status === 'stale').length;
+        return { lang, total: rows.length, translated: rows.length - missing, missing, stale };
+    });
+    return { coverage, currentVersion: history.currentVersion, hasHistory: history.hasHistory };
+}
+
+// Exportação de um idioma: chave, texto em inglês, tradução e situação
+
+function toCsv(rows, lang) {
+    const lines = [['key', SOURCE_LANG, lang, 'status'].join(',')];
+    for (const row of rows) lines.push([row.key, row.source, row.text, row.status].map(csvCell).join(','));
+    return `${lines.join('\n')}\n`;
+}
+
+function poString(text) {
+    const escaped = text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\t/g, '\\t');
+    const lines = escaped.split('\n');
+    if (lines.length === 1) return `"${escaped}"`;
+    return ['""', ...lines.map((line, idx) => `"${line}${idx < lines.length - 1 ? '\\n' : ''}"`)].join('\n');
+}
+
+// Textos desatualizados saem como fuzzy, do jeito que as ferramentas de gettext esperam
+function toPo(rows, lang) {
+    const blocks = [[
+        'msgid ""',
+        'msgstr ""',
+        '"Content-Type: text/plain; charset=UTF-8\\n"',
+        `"Language: ${lang}\\n"`,
+    ].join('\n')];
+
+    for (const row of rows) {
+        blocks.push([
+            ...(row.status === 'stale' ? ['#, fuzzy'] : []),
+            `msgctxt ${poString(row.key)}`,
+            `msgid ${poString(row.source)}`,
+            `msgstr ${poString(row.text)}`,
+        ].join('\n'));
+    }
+    return `${blocks.join('\n\n')}\n`;
+}
+
+export function exportTranslations(raw, lang, format) {
+    const rows = translationStatus(raw, lang);
+    return format === 'po' ? toPo(rows, lang) : toCsv(rows, lang);
+}
+
+// Importação
+
+// CSV com aspas (RFC 4180): células podem ter vírgulas, aspas dobradas e quebras de linha
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let idx = 0; idx < text.length; idx++) {
+        const char = text[idx];
+        if (quoted) {
+            if (char === '"' && text[idx + 1] === '"') {
+                cell += '"';
+                idx++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[idx + 1] === '\n') idx++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+function unescapePo(text) {
+    return text.replace(/\\(.)/g, (_, char) => ({ n: '\n', t: '\t' }[char] ?? char));
+}
+
+// PO: pares msgctxt/msgstr com linhas de continuação; o idioma vem do cabeçalho Language
+function parsePo(text) {
+    const entries = [];
+    let current = {};
+    let field = null;
+    let lang = null;
+
+    const flush = () => {
+        if (current.msgctxt !== undefined) entries.push({ key: current.msgctxt, text: current.msgstr ?? '' });
+        else if (current.msgid === '') lang = /Language: *([^\n]+)/.exec(current.msgstr || '')?.[1]?.trim() || lang;
+        current = {};
+        field = null;
+    };
+
+    for (const line of text.split(/\r?\n/)) {
+        const trimmed = line.trim();
+        const match = /^(msgctxt|msgid|msgstr) "(.*)"$/.exec(trimmed);
+        if (match) {
+            if (match[1] === 'msgctxt' || (match[1] === 'msgid' && current.msgid !== undefined)) flush();
+            field = match[1];
+            current[field] = unescapePo(match[2]);
+        } else if (/^"(.*)"$/.test(trimmed) && field) {
+            current[field] += unescapePo(trimmed.slice(1, -1));
+        } else if (!trimmed) {
+            flush();
+        }
+    }
+    flush();
+    return { lang, entries };
+}
+
+// Lê um arquivo de tradução (csv ou po) e retorna { lang, translations: Map<chave plana, texto> }
+// No CSV as colunas são achadas pelo nome, já que planilhas reordenam e acrescentam colunas:
+// key é a chave e o idioma é a primeira coluna com código de idioma além de key, en e status (notas ficam de fora)
+export function parseTranslationFile(text, format) {
+    if (format === 'po') {
+        const { lang, entries } = parsePo(text);
+        return { lang: normalizeLangCode(lang) || null, translations: new Map(entries.map(entry => [entry.key, entry.text])) };
+    }
+
+    const [header = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+    const columns = header.map(normalizeLangCode);
+    const keyIdx = columns.indexOf('key');
+    const langIdx = columns.findIndex(name => LANG_CODE_PATTERN.test(name) && !['key', SOURCE_LANG, 'status'].includes(name));
+    if (keyIdx < 0 || langIdx < 0) throw new Error('o CSV precisa das colunas key e <idioma> (ex.: key,en,pt,status)');
+    return { lang: columns[langIdx], translations: new Map(rows.map(cells => [cells[keyIdx], cells[langIdx] ?? ''])) };
+}
+
+// Atualiza um campo de idioma preservando o formato: string simples para inglês, mapa quando há traduções
+export function setLanguageValue(current, lang, value) {
+    if (lang === SOURCE_LANG && (current === undefined || typeof current === 'string')) return value;
+    const map = typeof current === 'string' ? { [SOURCE_LANG]: current } : { ...(current || {}) };
+    map[lang] = value;
+    return map;
+}
+
+// Aplica as traduções de um idioma em uma cópia do faq.json cru
+// Células vazias não apagam traduções existentes; chaves que não existem mais no arquivo são ignoradas
+// Retorna { data, changed, unknown }
+export function applyTranslations(raw, lang, translations) {
+    const data = JSON.parse(JSON.stringify(raw));
+    const known = flattenTranslations(raw);
+    let changed = 0;
+    const unknown = [];
+
+    for (const [key, text] of translations) {
+        if (!known.has(key)) {
+            unknown.push(key);
+            continue;
+        }
+        if (!text.trim() || known.get(key)[lang] === text) continue;
+
+        let match;
+        if (key === 'rootMessage') {
+            const field = data.rootMessage !== undefined || data.header === undefined ? 'rootMessage' : 'header';
+            data[field] = setLanguageValue(data[field], lang, text);
+        } else if ((match = /^category\.(.+)\.label$/.exec(key))) {
+            if (Array.isArray(data.categories)) {
+                const cat = data.categories.find(c => rawCategoryId(c) === match[1]);
+                const field = cat.labels !== undefined ? 'labels' : 'label';
+                cat[field] = setLanguageValue(cat[field], lang, text);
+            } else {
+                const id = Object.keys(data.categories).find(c => c.trim().toLowerCase() === match[1]);
+                data.categories[id] = setLanguageValue(data.categories[id], lang, text);
+            }
+        } else if ((match = /^faq\.(.+)\.(label|content)$/.exec(key))) {
+            const faq = data.faqs[match[1]];
+            const field = match[2] === 'content' ? 'content' : faq.labels !== undefined ? 'labels' : 'label';
+            faq[field] = setLanguageValue(faq[field], lang, text);
+        }
+        changed++;
+    }
+
+    return { data, changed, unknown };
+}
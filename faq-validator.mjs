@@ -0,0 +1,337 @@
+import { FAQ_KEY_PATTERN } from './faq-loader.mjs';
+
+// Validação estrita do faq.json antes de importar
+// Ao contrário do normalizeFaqData, que corrige ou descarta dados ruins em silêncio,
+// aqui cada problema é reportado com o caminho JSON onde foi encontrado
+
+// Limites do Discord relevantes para o FAQ
+export const LIMITS = {
+    selectLabel: 100,
+    buttonLabel: 80,
+    textDisplay: 4000,
+    altText: 1024,
+};
+
+const FILE_MARKER = /^\[(?:spoiler-)?file:(https?:\/\/[^\]\s|]+|[^\]\s|]+\.[^\]\s|]+)(?:\|([^\]|]*))?(?:\|([^\]]*))?\]/;
+const SEPARATOR_MARKER = /^\[separator(?::large)?\]/;
+const SECTION_MARKER = /^\[section:(https?:\/\/[^\]\s|]+|[^\]\s|]+\.[^\]\s|]+)(?:\|([^\]]*))?\]([\s\S]*?)\[\/section\]/;
+const LINK_MARKER = /^\[link:(https?:\/\/[^\]|\s]+)\|([^\]]+)\]/;
+const FAQ_MARKER = /^\[faq:([^\]|\s:,]+)\|([^\]]+)\]/;
+
+// Marcadores reconhecidos no conteúdo; o primeiro prefixo que casar decide a validação
+const MARKER_KINDS = [
+    { type: 'file', prefix: '[file:', pattern: FILE_MARKER, expected: '[file:https://url|alt|legenda]' },
+    { type: 'file', prefix: '[spoiler-file:', pattern: FILE_MARKER, expected: '[spoiler-file:https://url|alt|legenda]' },
+    { type: 'link', prefix: '[link:', pattern: LINK_MARKER, expected: '[link:https://url|texto]' },
+    { type: 'faq', prefix: '[faq:', pattern: FAQ_MARKER, expected: '[faq:chave|texto]' },
+    { type: 'separator', prefix: '[separator', pattern: SEPARATOR_MARKER, expected: '[separator] ou [separator:large]' },
+    { type: 'section', prefix: '[section:', pattern: SECTION_MARKER, expected: '[section:https://miniatura|alt]texto[/section]' },
+    { type: 'sectionEnd', prefix: '[/section]', pattern: null },
+];
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// keywords/aliases: texto, lista de textos ou mapa de idiomas com um dos dois; roles não aceita o mapa
+function isStringList(value, allowMap = true) {
+    if (typeof value === 'string') return true;
+    if (Array.isArray(value)) return value.every(v => typeof v === 'string');
+    return allowMap && isPlainObject(value) && Object.values(value).every(v => isStringList(v, false));
+}
+
+// visibleFrom/visibleUntil: datas ISO (ex.: 2025-03-01T18:00:00Z) ou timestamps em ms, início antes do fim
+function checkVisibilityWindow(faq, path, report) {
+    const times = {};
+    for (const field of ['visibleFrom', 'visibleUntil']) {
+        const value = faq[field];
+        if (value === undefined || value === null || value === '') continue;
+        const time = typeof value === 'number' ? value : Date.parse(value);
+        if (!Number.isFinite(time)) {
+            report.error(joinPath(path, field), `data inválida "${value}" (use ISO 8601, ex.: 2025-03-01T18:00:00Z)`);
+            continue;
+        }
+        times[field] = time;
+    }
+
+    if (times.visibleFrom !== undefined && times.visibleUntil !== undefined && times.visibleFrom >= times.visibleUntil) {
+        report.error(joinPath(path, 'visibleUntil'), 'fim da visibilidade antes do início');
+    } else if (times.visibleUntil !== undefined && times.visibleUntil <= Date.now()) {
+        report.warning(joinPath(path, 'visibleUntil'), 'janela de visibilidade já encerrada, o FAQ não aparece mais');
+    }
+}
+
+// Monta caminhos legíveis: faqs.general_is_mmorpg.content.pt, categories[1].id
+function joinPath(base, key) {
+    if (typeof key === 'number') return `${base}[${key}]`;
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${base}.${key}` : `${base}["${key}"]`;
+}
+
+// Mapas de idioma aceitam string (inglês) ou { en, pt, ... }
+function languageMap(value) {
+    if (typeof value === 'string') return { en: value };
+    return isPlainObject(value) ? value : {};
+}
+
+// Verifica os marcadores de conteúdo; blocos de texto longos são divididos em páginas pelo bot
+// Só seções precisam caber num único TextDisplay, porque não podem ser quebradas
+// faqKeys: chaves existentes, para apontar [faq:] que levam a FAQs inexistentes
+function checkContentText(text, path, report, faqKeys) {
+    let index = 0;
+
+    while (index < text.length) {
+        const rest = text.slice(index);
+        const kind = MARKER_KINDS.find(k => rest.startsWith(k.prefix));
+
+        if (!kind) {
+            index++;
+            continue;
+        }
+
+        const snippet = rest.split('\n')[0].substring(0, 60);
+        const match = kind.pattern ? kind.pattern.exec(rest) : null;
+
+        if (!match) {
+            report.error(path, kind.pattern
+                ? `marcador malformado "${snippet}" (esperado ${kind.expected})`
+                : `"${kind.prefix}" sem "[section:...]" correspondente`);
+            index += kind.prefix.length;
+            continue;
+        }
+
+        const isLink = kind.type === 'link';
+        const isFaq = kind.type === 'faq';
+
+        if (kind.type === 'file' && match[2] && match[2].length > LIMITS.altText) {
+            report.error(path, `texto alternativo com ${match[2].length} caracteres (máximo ${LIMITS.altText})`);
+        }
+
+        if (kind.type === 'section') {
+            const sectionText = match[3].trim();
+            if (!sectionText) {
+                report.error(path, 'seção sem texto');
+            } else if (sectionText.length > LIMITS.textDisplay) {
+                report.error(path, `seção com ${sectionText.length} caracteres (máximo ${LIMITS.textDisplay})`);
+            }
+        }
+
+        if (isFaq && !faqKeys.has(match[1])) {
+            report.error(path, `link para FAQ inexistente "${match[1]}"`);
+        }
+
+        if (isLink || isFaq) {
+            const label = match[2].trim();
+            if (!label) {
+                report.error(path, `link sem texto "${snippet}"`);
+            } else if (label.length > LIMITS.buttonLabel) {
+                report.error(path, `texto do link com ${label.length} caracteres (máximo ${LIMITS.buttonLabel})`);
+            }
+        }
+
+        index += match[0].length;
+    }
+}
+
+function checkLanguageMap(map, path, languages, report, what) {
+    for (const lang of languages) {
+        const value = map[lang];
+        if (typeof value !== 'string' || !value.trim()) {
+            report.warning(joinPath(path, lang), `${what} sem tradução para "${lang}"`);
+        }
+    }
+    for (const [lang, value] of Object.entries(map)) {
+        if (typeof value !== 'string') {
+            report.error(joinPath(path, lang), `${what} deve ser texto`);
+        }
+    }
+}
+
+// Valida um objeto de FAQ cru (como veio do arquivo)
+// Retorna { errors, warnings, languages }, cada problema como { path, message }
+export function validateFaq(raw) {
+    const errors = [];
+    const warnings = [];
+    const report = {
+        error: (path, message) => errors.push({ path, message }),
+        warning: (path, message) => warnings.push({ path, message }),
+    };
+
+    if (!isPlainObject(raw)) {
+        report.error('$', 'o arquivo deve conter um objeto JSON');
+        return { errors, warnings, languages: [] };
+    }
+
+    if (!isPlainObject(raw.faqs)) {
+        report.error('faqs', 'campo "faqs" ausente ou não é um objeto');
+        return { errors, warnings, languages: [] };
+    }
+
+    const faqEntries = Object.entries(raw.faqs);
+    if (!faqEntries.length) {
+        report.error('faqs', 'nenhum FAQ definido');
+    }
+
+    // Idiomas esperados: todos que aparecem em algum conteúdo ou no cabeçalho
+    const languages = new Set(['en']);
+    const rootSource = raw.rootMessage ?? raw.header;
+    for (const source of [rootSource, ...faqEntries.map(([, faq]) => faq?.content)]) {
+        if (!isPlainObject(source)) continue;
+        for (const [lang, value] of Object.entries(source)) {
+            if (typeof value === 'string' && value.trim()) languages.add(lang);
+        }
+    }
+
+    // Cabeçalho da mensagem raiz
+    const rootPath = raw.rootMessage !== undefined ? 'rootMessage' : 'header';
+    if (rootSource === undefined) {
+        report.warning('rootMessage', 'cabeçalho ausente, será usado o texto padrão');
+    } else if (!isPlainObject(rootSource)) {
+        report.error(rootPath, 'deve ser um objeto { idioma: texto }');
+    } else {
+        checkLanguageMap(rootSource, rootPath, languages, report, 'cabeçalho');
+        for (const [lang, value] of Object.entries(rootSource)) {
+            if (typeof value === 'string' && value.length > LIMITS.textDisplay) {
+                report.error(joinPath(rootPath, lang), `cabeçalho com ${value.length} caracteres (máximo ${LIMITS.textDisplay})`);
+            }
+        }
+    }
+
+    // Categorias declaradas
+    const declared = new Map();
+    const categoryEntries = Array.isArray(raw.categories)
+        ? raw.categories.map((cat, idx) => [idx, cat])
+        : isPlainObject(raw.categories) ? Object.entries(raw.categories) : null;
+
+    if (raw.categories !== undefined && !categoryEntries) {
+        report.error('categories', 'deve ser uma lista ou um objeto');
+    }
+
+    for (const [idx, cat] of categoryEntries || []) {
+        const path = joinPath('categories', idx);
+        const isArray = typeof idx === 'number';
+        const rawId = isArray ? cat?.id ?? cat?.key : idx;
+        const id = (rawId ?? '').toString().trim().toLowerCase();
+
+        if (!id) {
+            report.error(joinPath(path, 'id'), 'categoria sem id');
+            continue;
+        }
+        if (declared.has(id)) {
+            report.error(path, `id de categoria duplicado "${id}" (já usado em ${declared.get(id)})`);
+            continue;
+        }
+        declared.set(id, path);
+
+        if (isArray && cat?.roles !== undefined && !isStringList(cat.roles, false)) {
+            report.error(joinPath(path, 'roles'), 'cargos devem ser uma lista de ids ou nomes, ou um texto separado por vírgulas');
+        }
+
+        const labelValue = isArray ? cat?.labels ?? cat?.label : cat;
+        const labelPath = isArray ? joinPath(path, cat?.labels !== undefined ? 'labels' : 'label') : path;
+        const labels = languageMap(labelValue);
+        if (!Object.keys(labels).length) {
+            report.warning(labelPath, 'categoria sem nome, será usado o id');
+        } else if (isPlainObject(labelValue)) {
+            checkLanguageMap(labels, labelPath, languages, report, 'nome da categoria');
+        }
+    }
+
+    // FAQs
+    const faqKeys = new Set(faqEntries.map(([key]) => key));
+    const usedCategories = new Map();
+    for (const [key, faq] of faqEntries) {
+        const path = joinPath('faqs', key);
+
+        // A chave vai nos customIds (limite de 100 caracteres) e nos valores dos selects; : e , separam campos
+        if (!FAQ_KEY_PATTERN.test(key)) {
+            report.error(path, 'chave inválida: use letras minúsculas, números e _ (até 60 caracteres)');
+        }
+
+        if (!isPlainObject(faq)) {
+            report.error(path, 'FAQ deve ser um objeto');
+            continue;
+        }
+
+        const categoryField = faq.categoryId !== undefined ? 'categoryId' : 'category';
+        const categoryId = (faq[categoryField] ?? '').toString().trim().toLowerCase();
+        if (!categoryId) {
+            report.error(joinPath(path, 'categoryId'), 'FAQ sem categoria');
+        } else {
+            if (declared.size && !declared.has(categoryId)) {
+                report.error(joinPath(path, categoryField), `categoria desconhecida "${categoryId}"`);
+            }
+            usedCategories.set(categoryId, (usedCategories.get(categoryId) || 0) + 1);
+        }
+
+        const labelField = faq.labels !== undefined ? 'labels' : 'label';
+        const labelValue = faq[labelField];
+        const labels = languageMap(labelValue);
+        const labelPath = joinPath(path, labelField);
+        if (!Object.values(labels).some(v => typeof v === 'string' && v.trim())) {
+            report.error(labelPath, 'FAQ sem label');
+        } else {
+            if (isPlainObject(labelValue)) {
+                checkLanguageMap(labels, labelPath, languages, report, 'label');
+            }
+            for (const [lang, value] of Object.entries(labels)) {
+                if (typeof value === 'string' && value.length > LIMITS.selectLabel) {
+                    const langPath = isPlainObject(labelValue) ? joinPath(labelPath, lang) : labelPath;
+                    report.error(langPath, `label com ${value.length} caracteres (máximo ${LIMITS.selectLabel})`);
+                }
+            }
+        }
+
+        for (const field of ['keywords', 'aliases']) {
+            if (faq[field] !== undefined && !isStringList(faq[field])) {
+                report.error(joinPath(path, field), 'deve ser uma lista de textos, um texto separado por vírgulas ou um mapa { idioma: lista }');
+            }
+        }
+        if (faq.roles !== undefined && !isStringList(faq.roles, false)) {
+            report.error(joinPath(path, 'roles'), 'cargos devem ser uma lista de ids ou nomes, ou um texto separado por vírgulas');
+        }
+
+        checkVisibilityWindow(faq, path, report);
+
+        const contentPath = joinPath(path, 'content');
+        if (!isPlainObject(faq.content)) {
+            report.error(contentPath, 'conteúdo ausente ou não é um objeto { idioma: texto }');
+            continue;
+        }
+        if (!Object.values(faq.content).some(v => typeof v === 'string' && v.trim())) {
+            report.error(contentPath, 'conteúdo vazio em todos os idiomas');
+            continue;
+        }
+
+        checkLanguageMap(faq.content, contentPath, languages, report, 'conteúdo');
+        for (const [lang, value] of Object.entries(faq.content)) {
+            if (typeof value === 'string' && value.trim()) {
+                checkContentText(value, joinPath(contentPath, lang), report, faqKeys);
+            }
+        }
+    }
+
+    // Categorias declaradas que não recebem nenhum FAQ não aparecem no menu
+    for (const [id, path] of declared) {
+        if (!usedCategories.has(id)) {
+            report.warning(path, `categoria "${id}" sem FAQs`);
+        }
+    }
+
+    return { errors, warnings, languages: [...languages] };
+}
+
+// Formata o resultado da validação para exibir no Discord
+export function formatValidationReport(result) {
+    const lines = [];
+    const { errors, warnings } = result;
+
+    if (!errors.length && !warnings.length) {
+        return '✅ Nenhum problema encontrado.';
+    }
+
+    lines.push(`${errors.length ? '❌' : '✅'} ${errors.length} erro(s), ⚠️ ${warnings.length} aviso(s)`);
+    for (const e of errors) lines.push(`❌ \`${e.path}\` ${e.message}`);
+    for (const w of warnings) lines.push(`⚠️ \`${w.path}\` ${w.message}`);
+
+    return lines.join('\n');
+}
@@ -0,0 +1,61 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { getLoadedSource } from './faq-loader.mjs';
+import { validateFaq } from './faq-validator.mjs';
+
+// Observa o faq.json e avisa quando um conteúdo novo e válido for gravado por fora do bot
+// Observa o diretório em vez do arquivo: editores e deploys costumam substituir o arquivo (rename),
+// o que quebra um fs.watch direto no arquivo
+const DEBOUNCE_MS = 1000;
+
+export function watchFaqFile(filePath, onChange) {
+    const dir = path.dirname(filePath);
+    const fileName = path.basename(filePath);
+    let timer = null;
+
+    const check = async () => {
+        timer = null;
+        if (!fs.existsSync(filePath)) return;
+
+        let raw;
+        try {
+            raw = fs.readFileSync(filePath, 'utf8');
+        } catch (err) {
+            console.error(`[WARN] watcher: falha ao ler ${fileName}: ${err.message}`);
+            return;
+        }
+
+        // Gravações do próprio bot já recarregam e atualizam as mensagens
+        if (raw === getLoadedSource()) return;
+
+        let parsed;
+        try {
+            parsed = JSON.parse(raw);
+        } catch (err) {
+            console.error(`[WARN] watcher: ${fileName} com JSON inválido, mantendo a versão carregada (${err.message})`);
+            return;
+        }
+
+        const validation = validateFaq(parsed);
+        if (validation.errors.length) {
+            const first = validation.errors.slice(0, 3).map(e => `${e.path}: ${e.message}`).join('; ');
+            console.error(`[WARN] watcher: ${fileName} com ${validation.errors.length} erro(s), mantendo a versão carregada (${first})`);
+            return;
+        }
+
+        try {
+            await onChange();
+        } catch (err) {
+            console.error(`[ERROR] watcher: ${err.message}`);
+        }
+    };
+
+    const watcher = fs.watch(dir, (eventType, changed) => {
+        if (changed && changed !== fileName) return;
+        clearTimeout(timer);
+        timer = setTimeout(check, DEBOUNCE_MS);
+    });
+
+    watcher.on('error', (err) => console.error(`[ERROR] watcher: ${err.message}`));
+    return watcher;
+}
@@ -1,6 +1,7 @@
 import 'dotenv/config';
 import fs from 'node:fs';
 import path from 'node:path';
+import { createHash } from 'node:crypto';
 import {
     Client,
     GatewayIntentBits,
@@ -11,15 +12,71 @@ import {
     MessageFlags,
     ComponentType,
     ButtonStyle,
+    TextInputStyle,
     PermissionFlagsBits,
 } from 'discord.js';
 import {
     loadFaq,
+    reloadFaq,
     getFaqContent,
     getFaqsByCategory,
     faqExists,
+    canAccessFaq,
+    isFaqRestricted,
     getFaqHeader,
+    getFaqLabel,
+    getCategoryLabel,
+    getAvailableLanguages,
+    getFaqLanguages,
+    getLanguageInfo,
+    matchLocale,
+    normalizeFaqData,
+    FAQ_KEY_PATTERN,
 } from './faq-loader.mjs';
+import { searchFaqs, suggestFaq } from './faq-search.mjs';
+import { getUserLang, setUserLang } from './user-prefs.mjs';
+import { validateFaq, formatValidationReport } from './faq-validator.mjs';
+import { diffFaqData, formatDiffSummary } from './faq-diff.mjs';
+import { writeFaqVersion, listVersions, getVersion } from './faq-history.mjs';
+import {
+    guildFaqFile,
+    guildFaqFileName,
+    hasGuildFaq,
+    readGuildFaqRaw,
+    isStandaloneGuildFaq,
+    mergeGuildFaq,
+    pruneGuildOverlay,
+    getBaseRaw,
+    writeGuildFaq,
+} from './faq-guilds.mjs';
+import { recordEvent, readEvents, summarizeStats, eventsToCsv } from './faq-stats.mjs';
+import { recordVote, addComment, getVoteTotal, getLowestRated, getRecentComments } from './faq-feedback.mjs';
+import { watchFaqFile } from './faq-watcher.mjs';
+import { startAdminApi } from './faq-admin-api.mjs';
+import { EXPORT_FORMATS, renderFaqExport, exportFileName } from './faq-export.mjs';
+import { listScheduleChanges, nextScheduleChange, hasScheduleChangeBetween } from './faq-schedule.mjs';
+import {
+    TRANSLATION_FORMATS,
+    translationCoverage,
+    translationStatus,
+    exportTranslations,
+    parseTranslationFile,
+    applyTranslations,
+    setLanguageValue,
+} from './faq-translations.mjs';
+import { parseContentMarkers, groupGalleries } from './faq-markup.mjs';
+import {
+    PRODUCTION_DATASET,
+    DATASET_NAME_PATTERN,
+    datasetFile,
+    datasetFileName,
+    datasetExists,
+    listDatasets,
+    loadDataset,
+    readDatasetRaw,
+    datasetCustomId,
+    parseDatasetCustomId,
+} from './faq-datasets.mjs';
 
 const TOKEN = process.env.DISCORD_TOKEN;
 const APPLICATION_ID = process.env.DISCORD_APPLICATION_ID;
@@ -31,30 +88,137 @@ if (!TOKEN || !APPLICATION_ID) {
 }
 
 const STORE = path.join(process.cwd(), 'message.json');
-const FAQ_FILE = path.join(process.cwd(), 'faq.json');
-const TEST_FAQ_FILE = path.join(process.cwd(), 'testfaq.json');
 
-const userLangCache = new Map();
+// Sugestões automáticas leem as mensagens do chat: exigem o intent privilegiado Message Content,
+// então só são ligadas com FAQ_SUGGESTIONS=true no .env (e o intent habilitado no portal do Discord)
+const SUGGESTIONS_ENABLED = process.env.FAQ_SUGGESTIONS === 'true';
+const SUGGESTION_DEFAULT_THRESHOLD = 0.6;
+const SUGGESTION_DEFAULT_COOLDOWN = 300;
+
+// API HTTP local de administração e editor embutido (faq-admin-api.mjs): só sobe com ADMIN_API_TOKEN
+// ADMIN_API_URL: endereço do editor para quem acessa de fora (botão do /faq export), quando exposto
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN;
+const ADMIN_API_PORT = Number(process.env.ADMIN_API_PORT) || 8787;
+const ADMIN_API_HOST = process.env.ADMIN_API_HOST || '127.0.0.1';
+const EDITOR_URL = process.env.ADMIN_API_URL || 'https://gurren.squareweb.app/';
+const FAQ_FILE = datasetFile(PRODUCTION_DATASET);
+
+// Subcomandos liberados para todos os membros; o resto exige Administrator
+const PUBLIC_SUBCOMMANDS = new Set(['search']);
+
+// Limite de opções por StringSelect do Discord
+const SELECT_OPTION_LIMIT = 25;
+
+// Importações aguardando confirmação, indexadas pelo id da interação do /faq import
+const pendingImports = new Map();
+const PENDING_IMPORT_TTL = 10 * 60 * 1000;
+
+// Textos fixos do card de resposta, por idioma; idiomas sem tradução caem para inglês
+const UI_TEXT = {
+    en: {
+        feedbackQuestion: 'Was this answer helpful?',
+        helpful: 'Yes',
+        notHelpful: 'No',
+        feedbackThanks: 'Thanks for your feedback!',
+        commentPrompt: 'Thanks! Want to tell us what was missing?',
+        commentButton: 'Leave a comment',
+        commentTitle: 'What was missing?',
+        commentLabel: 'Your comment',
+        back: 'Back',
+        linkNotFound: 'That answer is no longer available.',
+        previous: 'Previous',
+        next: 'Next',
+        suggestion: 'This might answer your question:',
+        suggestionOpen: 'See answer',
+        personalMenu: 'Answers for my roles',
+        restricted: 'This answer is only available to certain roles.',
+    },
+    pt: {
+        feedbackQuestion: 'Esta resposta ajudou?',
+        helpful: 'Sim',
+        notHelpful: 'Não',
+        feedbackThanks: 'Obrigado pelo feedback!',
+        commentPrompt: 'Obrigado! Quer contar o que faltou?',
+        commentButton: 'Deixar um comentário',
+        commentTitle: 'O que faltou?',
+        commentLabel: 'Seu comentário',
+        back: 'Voltar',
+        linkNotFound: 'Essa resposta não está mais disponível.',
+        previous: 'Anterior',
+        next: 'Próxima',
+        suggestion: 'Isto pode responder sua pergunta:',
+        suggestionOpen: 'Ver resposta',
+        personalMenu: 'Respostas dos meus cargos',
+        restricted: 'Esta resposta é exclusiva de alguns cargos.',
+    },
+};
+
+function uiText(lang, key) {
+    return UI_TEXT[lang]?.[key] || UI_TEXT.en[key];
+}
+
+// Limites do modal do Discord: 5 campos, 4000 caracteres por campo
+const MODAL_FIELD_LIMIT = 5;
+const MODAL_TEXT_LIMIT = 4000;
 
-// Persistência multi-guild: armazena canal, mensagem e nonce para cada servidor
+// Persistência multi-guild: cada servidor tem uma lista de mensagens do FAQ (placements)
+// Cada placement guarda canal, mensagem, nonce, idioma, conjunto e o filtro de categorias (null = todas)
+// Placements do tipo forum publicam cada FAQ como um post em um canal de fórum em vez de uma mensagem com menus
 // O nonce é incrementado a cada atualização para invalidar interações antigas
+const ensurePlacementShape = (entry, id) => ({
+    id: entry?.id || id,
+    channelId: entry?.channelId || null,
+    messageId: entry?.messageId || null,
+    nonce: entry?.nonce || 1,
+    lang: entry?.lang || 'en',
+    dataset: entry?.dataset || PRODUCTION_DATASET,
+    categories: Array.isArray(entry?.categories) && entry.categories.length ? entry.categories : null,
+    type: entry?.type === 'forum' ? 'forum' : 'message',
+    // Modo fórum: um post por FAQ ({ chave: { threadId, extraMessageIds, hash, archived } }) e a tag de cada categoria
+    ...(entry?.type === 'forum' ? { posts: entry.posts || {}, tags: entry.tags || {} } : {}),
+});
+
+// Canais com sugestões automáticas: { canalId: { threshold, cooldown (segundos) } }
+const ensureSuggestionsShape = (raw) => {
+    const suggestions = {};
+    for (const [channelId, settings] of Object.entries(raw || {})) {
+        if (!channelId || !settings) continue;
+        suggestions[channelId] = {
+            threshold: Number(settings.threshold) || SUGGESTION_DEFAULT_THRESHOLD,
+            cooldown: Number(settings.cooldown) || SUGGESTION_DEFAULT_COOLDOWN,
+        };
+    }
+    return suggestions;
+};
+
 const ensureStoreShape = (raw = {}) => {
     const store = { guilds: {} };
 
     if (raw.guilds && typeof raw.guilds === 'object') {
         for (const [guildId, entry] of Object.entries(raw.guilds)) {
             if (!guildId) continue;
-            store.guilds[guildId] = {
-                channelId: entry?.channelId || null,
-                messageId: entry?.messageId || null,
-                nonce: entry?.nonce || 1,
-            };
+
+            // Formato antigo: uma única mensagem, com channelId/messageId/nonce nos campos da própria guild
+            const sources = Array.isArray(entry?.placements) ? entry.placements : [entry];
+
+            const placements = [];
+            for (const source of sources) {
+                if (!source?.channelId) continue;
+                if (source.dataset && !DATASET_NAME_PATTERN.test(source.dataset)) continue;
+                placements.push(ensurePlacementShape(source, nextPlacementId(placements)));
+            }
+
+            store.guilds[guildId] = { placements, suggestions: ensureSuggestionsShape(entry?.suggestions) };
         }
     }
 
     return store;
 };
 
+function nextPlacementId(placements) {
+    return placements.reduce((max, p) => Math.max(max, p.id || 0), 0) + 1;
+}
+
 const readStore = () => {
     if (!fs.existsSync(STORE)) return { guilds: {} };
     try {
@@ -65,12 +229,58 @@ const readStore = () => {
     }
 };
 
+// Sugestões de cada guild em memória: o MessageCreate roda a cada mensagem do chat e não pode ler o
+// message.json toda vez; o cache é refeito a cada writeStore, o único caminho de gravação do arquivo
+let suggestionSettings = null;
+
+function cacheSuggestionSettings(store) {
+    suggestionSettings = new Map(Object.entries(store.guilds).map(([guildId, entry]) => [guildId, entry.suggestions]));
+}
+
+function getSuggestionSettings(guildId) {
+    if (!suggestionSettings) cacheSuggestionSettings(readStore());
+    return suggestionSettings.get(guildId) || {};
+}
+
 const writeStore = (d) => {
     const normalized = ensureStoreShape(d);
     fs.writeFileSync(STORE, JSON.stringify(normalized, null, 2));
+    cacheSuggestionSettings(normalized);
     return normalized;
 };
 
+// Lê, altera e grava o message.json sem nenhum await no meio: depois de chamadas longas ao Discord,
+// grava a partir do arquivo atual em vez de uma cópia antiga que apagaria o que mudou nesse intervalo
+const updateStore = (mutate) => {
+    const store = readStore();
+    mutate(store);
+    return writeStore(store);
+};
+
+function findStoredPlacement(guildId, placementId) {
+    return readStore().guilds[guildId]?.placements.find(p => p.id === placementId) || null;
+}
+
+// Grava um placement relendo o store; fields limita aos campos alterados (ex.: messageId e nonce de uma
+// atualização), preservando o que o /faq setup mudou enquanto isso. Placements removidos nesse meio tempo
+// não voltam; um placement novo é adicionado, com outro id se o seu já tiver sido usado
+function savePlacement(guildId, placement, fields = null) {
+    updateStore(store => {
+        const guildEntry = store.guilds[guildId] || { placements: [], suggestions: {} };
+        store.guilds[guildId] = guildEntry;
+
+        const stored = guildEntry.placements.find(p => p.id === placement.id && p.channelId === placement.channelId);
+        if (stored) {
+            Object.assign(stored, fields ? Object.fromEntries(fields.map(field => [field, placement[field]])) : placement);
+            return;
+        }
+        if (fields) return;
+
+        if (guildEntry.placements.some(p => p.id === placement.id)) placement.id = nextPlacementId(guildEntry.placements);
+        guildEntry.placements.push(placement);
+    });
+}
+
 function logMessage(tag, message) {
     const msg = `[${tag}] ${message || ''}`.trim();
     if (tag === 'ERROR' || tag === 'WARN') {
@@ -80,7 +290,14 @@ function logMessage(tag, message) {
     }
 }
 
-const client = new Client({ intents: [GatewayIntentBits.Guilds] });
+const client = new Client({
+    intents: SUGGESTIONS_ENABLED
+        ? [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages, GatewayIntentBits.MessageContent]
+        : [GatewayIntentBits.Guilds],
+});
+
+// Último envio de sugestão por canal, para o cooldown
+const suggestionCooldowns = new Map();
 
 // Detecção de suporte a mídia inline do Components V2
 // O Discord.js pode ter diferentes nomes para o tipo de componente de mídia dependendo da versão
@@ -103,6 +320,16 @@ function getMediaSupport() {
     return inlineMediaSupported;
 }
 
+// Imgur requer URL específica (i.imgur.com) para vídeos
+function normalizeMediaUrl(url, fileType = 'image') {
+    const lowerUrl = url.toLowerCase();
+    const isVideo = fileType === 'video' || lowerUrl.endsWith('.webm') || lowerUrl.endsWith('.mp4') || lowerUrl.endsWith('.webp');
+    if (isVideo && lowerUrl.includes('imgur') && url.includes('imgur.com/') && !url.includes('i.imgur.com/')) {
+        return url.replace('imgur.com/', 'i.imgur.com/');
+    }
+    return url;
+}
+
 // Constrói componente de mídia inline do Components V2
 // Cada tipo de componente (MediaGallery, ImageDisplay, etc) tem uma estrutura diferente
 function buildInlineMediaComponent(url, fileType = 'image') {
@@ -113,13 +340,8 @@ function buildInlineMediaComponent(url, fileType = 'image') {
         const lowerUrl = url.toLowerCase();
         const isVideo = fileType === 'video' || lowerUrl.endsWith('.webm') || lowerUrl.endsWith('.mp4') || lowerUrl.endsWith('.webp');
 
-        // Imgur requer URL específica para vídeos
         if (isVideo && lowerUrl.includes('imgur')) {
-            let videoUrl = url;
-            if (url.includes('imgur.com/') && !url.includes('i.imgur.com/')) {
-                videoUrl = url.replace('imgur.com/', 'i.imgur.com/');
-            }
-            return { type: mediaType.type, items: [{ media: { url: videoUrl } }] };
+            return { type: mediaType.type, items: [{ media: { url: normalizeMediaUrl(url, fileType) } }] };
         }
 
         if (mediaType.name === 'MediaGallery') {
@@ -141,148 +363,178 @@ function buildInlineMediaComponent(url, fileType = 'image') {
     }
 }
 
-// Parse de marcadores [file:url] e [link:url|label] no texto do FAQ
-// Extrai posições, ordena por índice e reconstrói o conteúdo em partes sequenciais
-function parseContentMarkers(text) {
-    const fileRegex = /\[file:(https?:\/\/[^\]]+|[^\]]+)\]/g;
-    const linkRegex = /\[link:(https?:\/\/[^\]|]+)\|([^\]]+)\]/g;
-    const parts = [];
-    const markers = [];
+// Galeria com vários arquivos seguidos, com texto alternativo e spoiler por item
+// Sem MediaGallery na versão do Discord.js, cai para um componente de mídia por arquivo
+// As legendas vão num texto pequeno logo abaixo da galeria
+function buildGalleryComponents(items) {
+    const mediaType = detectInlineMediaType();
+    const components = [];
 
-    let match;
-    while ((match = fileRegex.exec(text)) !== null) {
-        markers.push({ type: 'file', index: match.index, length: match[0].length, fileRef: match[1] });
+    if (mediaType?.name === 'MediaGallery') {
+        components.push({
+            type: mediaType.type,
+            items: items.map(item => ({
+                media: { url: normalizeMediaUrl(item.url, item.fileType) },
+                ...(item.alt ? { description: item.alt.substring(0, 1024) } : {}),
+                ...(item.spoiler ? { spoiler: true } : {}),
+            })),
+        });
+    } else {
+        for (const item of items) {
+            const mediaComponent = buildInlineMediaComponent(item.url, item.fileType);
+            if (mediaComponent) components.push(mediaComponent);
+        }
     }
-    fileRegex.lastIndex = 0;
 
-    while ((match = linkRegex.exec(text)) !== null) {
-        markers.push({ type: 'link', index: match.index, length: match[0].length, url: match[1], label: match[2] });
+    const captions = items.map(item => item.caption).filter(Boolean);
+    if (captions.length) {
+        components.push({ type: ComponentType.TextDisplay, content: `-# ${captions.join(' · ')}` });
     }
 
-    markers.sort((a, b) => a.index - b.index);
-    let lastIndex = 0;
+    return components;
+}
 
-    for (const marker of markers) {
-        // Texto antes do marcador
-        if (marker.index > lastIndex) {
-            const textContent = text.slice(lastIndex, marker.index).trim();
-            if (textContent) parts.push({ type: 'text', content: textContent });
-        }
+// Texto com miniatura ao lado (Section + Thumbnail); sem suporte, vira texto seguido da imagem
+function buildSectionComponents(part) {
+    const textDisplay = { type: ComponentType.TextDisplay, content: part.content };
+    if (!part.thumbnail) return [textDisplay];
 
-        if (marker.type === 'file') {
-            const fileRef = marker.fileRef;
-            let fileUrl = null;
+    if (ComponentType.Section === undefined || ComponentType.Thumbnail === undefined) {
+        return [textDisplay, ...buildGalleryComponents([{ url: part.thumbnail.url, fileType: 'image', alt: part.thumbnail.alt }])];
+    }
 
-            if (fileRef.startsWith('http://') || fileRef.startsWith('https://')) {
-                fileUrl = fileRef;
-            } else if (fileRef.includes('.') && (fileRef.includes('/') || fileRef.includes('.'))) {
-                fileUrl = `https://${fileRef}`;
-            }
+    return [{
+        type: ComponentType.Section,
+        components: [textDisplay],
+        accessory: {
+            type: ComponentType.Thumbnail,
+            media: { url: part.thumbnail.url },
+            ...(part.thumbnail.alt ? { description: part.thumbnail.alt.substring(0, 1024) } : {}),
+        },
+    }];
+}
 
-            if (fileUrl) {
-                const lowerUrl = fileUrl.toLowerCase();
-                let ft = 'image';
-                if (lowerUrl.endsWith('.webm') || lowerUrl.endsWith('.mp4') || lowerUrl.endsWith('.webp')) {
-                    ft = 'video';
-                }
-                parts.push({ type: 'file', url: fileUrl, fileType: ft });
-            }
-        } else if (marker.type === 'link') {
-            parts.push({ type: 'link', url: marker.url, label: marker.label });
-        }
+// Relatórios longos vão como anexo para não estourar o limite de 2000 caracteres da mensagem
+function buildReportReply(title, report) {
+    const content = `${title}\n${report}`;
+    if (content.length <= 2000) return { content };
+    return {
+        content: `${title}\n${report.split('\n')[0]}\nRelatório completo em anexo.`,
+        files: [{ attachment: Buffer.from(report, 'utf8'), name: 'relatorio.txt' }],
+    };
+}
 
-        lastIndex = marker.index + marker.length;
-    }
+// Divide os FAQs de uma categoria em selects de até 25 opções
+// Categorias grandes viram "World (1/2)", "World (2/2)"; a página vai no customId como <cat>.<página>
+function buildCategorySelects(cat, faqs, prefix, nonce) {
+    const pages = Math.ceil(faqs.length / SELECT_OPTION_LIMIT);
+    const rows = [];
+
+    for (let page = 0; page < pages; page++) {
+        const options = faqs
+            .slice(page * SELECT_OPTION_LIMIT, (page + 1) * SELECT_OPTION_LIMIT)
+            .map(f => ({ label: f.label, value: f.key }));
+        const customId = pages > 1 ? `${prefix}_${cat.key}.${page + 1}:${nonce}` : `${prefix}_${cat.key}:${nonce}`;
+        const placeholder = pages > 1 ? `${cat.placeholder} (${page + 1}/${pages})` : cat.placeholder;
 
-    // Texto restante após o último marcador
-    if (lastIndex < text.length) {
-        const textContent = text.slice(lastIndex).trim();
-        if (textContent) parts.push({ type: 'text', content: textContent });
+        rows.push({
+            type: ComponentType.ActionRow,
+            components: [{
+                type: ComponentType.StringSelect,
+                custom_id: customId,
+                placeholder: placeholder.substring(0, 150),
+                options,
+            }],
+        });
     }
 
-    return parts;
+    return rows;
 }
 
-function loadFaqFromFile(filePath) {
-    if (!fs.existsSync(filePath)) return null;
-    try {
-        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
-    } catch {
-        return null;
+// Lista as categorias que passam do limite de um select e quantos menus cada uma vai ocupar
+function findOverflowingCategories(data) {
+    const counts = new Map();
+    for (const faq of Object.values(data?.faqs || {})) {
+        const hasContent = faq?.content && Object.values(faq.content).some(v => v && v.trim());
+        if (!faq?.label || !hasContent) continue;
+        counts.set(faq.categoryId, (counts.get(faq.categoryId) || 0) + 1);
     }
-}
 
-function getFaqsByFile(filePath, categoryId) {
-    const data = loadFaqFromFile(filePath);
-    if (!data?.faqs) return [];
     const result = [];
-    for (const [key, faq] of Object.entries(data.faqs)) {
-        const hasContent = faq?.content && Object.values(faq.content).some(v => v && (typeof v === 'string' ? v.trim() : true));
-        const hasLabel = faq?.label;
-        if ((faq.categoryId || faq.category) === categoryId && hasContent && hasLabel) {
-            result.push({
-                key,
-                label: faq.label.substring(0, 100),
-            });
+    for (const [id, count] of counts) {
+        if (count > SELECT_OPTION_LIMIT) {
+            result.push({ id, count, menus: Math.ceil(count / SELECT_OPTION_LIMIT) });
         }
     }
     return result;
 }
 
-function getFaqContentFromFile(filePath, key, lang = 'en') {
-    const data = loadFaqFromFile(filePath);
-    const faq = data?.faqs?.[key];
-    if (!faq) return null;
-    return faq.content?.[lang] || faq.content?.en || null;
-}
-
-function faqExistsInFile(filePath, key) {
-    const data = loadFaqFromFile(filePath);
-    return key in (data?.faqs || {});
+// Aviso das categorias divididas em vários selects, mostrado na prévia e no dry_run da importação
+function formatOverflowNote(data) {
+    const overflow = findOverflowingCategories(data);
+    if (!overflow.length) return '';
+    return `\n⚠️ Categorias com mais de ${SELECT_OPTION_LIMIT} FAQs (divididas em vários menus): ${overflow.map(o => `${o.id} (${o.count} FAQs, ${o.menus} menus)`).join(', ')}`;
 }
 
 // Constrói a mensagem raiz do FAQ com Components V2
 // Cada categoria vira um StringSelect dropdown, o nonce no customId invalida interações antigas
-function buildCv2Root(nonce = 1, prefix = 'select') {
-    const headerText = getFaqHeader('en') || '## **FAQ - Frequently Asked Questions**\nHello and welcome! Here you can access official answers to frequently raised topics by our community.';
-    const data = loadFaq();
+// Conjuntos que não são a produção levam o nome no cabeçalho e no prefixo dos customIds
+// placement: { nonce, lang, dataset, categories } da mensagem; categories filtra os menus mostrados
+// roles: cargos de um membro para o menu personalizado (efêmero); sem roles é a mensagem pública, só com os
+// FAQs abertos e, se houver FAQs restritos a cargos, o botão que abre o menu personalizado
+// guildId: na produção, usa o conteúdo próprio da guild quando existir
+function buildCv2Root({ nonce = 1, lang = 'en', dataset = PRODUCTION_DATASET, categories: categoryFilter = null, roles = null }, guildId = null) {
+    const data = loadDataset(dataset, guildId);
+    if (!data?.faqs) return null;
+
+    const isProduction = dataset === PRODUCTION_DATASET;
+    const headerText = getFaqHeader(lang, data) || '## **FAQ - Frequently Asked Questions**\nHello and welcome! Here you can access official answers to frequently raised topics by our community.';
 
     const components = [
         {
             type: ComponentType.TextDisplay,
-            content: headerText
+            content: isProduction ? headerText : `[${dataset.toUpperCase()}] ${headerText}`
         },
     ];
 
-    const categories = (data?.categories || []).map(cat => ({
+    const categories = (data.categories || []).map(cat => ({
         key: cat.id,
-        placeholder: cat.label?.substring(0, 90) || cat.id,
-        customId: `${prefix}_${cat.id}:${nonce}`,
+        placeholder: getCategoryLabel(cat.id, lang, data)?.substring(0, 90) || cat.id,
     }));
 
     // Se não há categorias definidas, deriva das categorias dos FAQs
-    if (!categories.length && data?.faqs) {
+    if (!categories.length) {
         const derived = new Set(Object.values(data.faqs).map(f => f.categoryId || f.category).filter(Boolean));
-        for (const id of derived) categories.push({ key: id, placeholder: id, customId: `${prefix}_${id}:${nonce}` });
+        for (const id of derived) categories.push({ key: id, placeholder: id });
     }
 
+    const restrictedKeys = Object.keys(data.faqs).filter(key => isFaqRestricted(key, data)
+        && (!categoryFilter || categoryFilter.includes(data.faqs[key].categoryId)));
+
     for (const cat of categories) {
-        const faqs = getFaqsByCategory(cat.key);
+        if (categoryFilter && !categoryFilter.includes(cat.key)) continue;
+
+        const faqs = getFaqsByCategory(cat.key, lang, data, roles || []);
         if (!faqs || faqs.length === 0) {
-            logMessage('WARN', `categoria "${cat.key}" sem FAQs válidos`);
+            // Categoria só com FAQs restritos é esperada fora do menu de quem não tem os cargos
+            if (!restrictedKeys.some(key => data.faqs[key].categoryId === cat.key)) {
+                logMessage('WARN', `categoria "${cat.key}" sem FAQs válidos (${dataset})`);
+            }
             continue;
         }
 
-        // Limite de 25 opções por select menu do Discord
-        const options = faqs.slice(0, 25).map(f => ({ label: f.label, value: f.key }));
+        components.push(...buildCategorySelects(cat, faqs, datasetCustomId(dataset, 'select'), nonce));
+    }
 
+    if (!roles && restrictedKeys.length) {
         components.push({
             type: ComponentType.ActionRow,
             components: [{
-                type: ComponentType.StringSelect,
-                custom_id: cat.customId,
-                placeholder: cat.placeholder,
-                options,
+                type: ComponentType.Button,
+                style: ButtonStyle.Secondary,
+                custom_id: datasetCustomId(dataset, 'personal'),
+                label: uiText(lang, 'personalMenu'),
+                emoji: { name: '🔒' },
             }],
         });
     }
@@ -293,97 +545,249 @@ function buildCv2Root(nonce = 1, prefix = 'select') {
     }
 
     return {
-        flags: MessageFlags.IsComponentsV2,
+        flags: roles ? MessageFlags.IsComponentsV2 | MessageFlags.Ephemeral : MessageFlags.IsComponentsV2,
         components: [{ type: ComponentType.Container, components }],
     };
 }
 
-function buildTestRoot(nonce = 1) {
-    const testData = loadFaqFromFile(TEST_FAQ_FILE);
-    if (!testData?.faqs) return null;
+// Trilha de navegação entre FAQs ligados por [faq:chave|label]: chaves visitadas separadas por vírgula
+// Vai no fim dos customIds do card; as mais antigas são descartadas para caber no limite de 100 caracteres
+const TRAIL_MAX_LENGTH = 60;
 
-    const headerText = testData.rootMessage?.en || testData.header?.en || '## **[TEST] FAQ**\nThis is a TEST version.';
-    
-    const components = [
+function pushTrail(trail, key) {
+    const keys = [...(trail ? trail.split(',') : []), key];
+    while (keys.length > 1 && keys.join(',').length > TRAIL_MAX_LENGTH) keys.shift();
+    const joined = keys.join(',');
+    return joined.length > TRAIL_MAX_LENGTH ? '' : joined;
+}
+
+function withTrail(customId, trail) {
+    const keys = trail ? trail.split(',') : [];
+    while (keys.length && `${customId}:${keys.join(',')}`.length > 100) keys.shift();
+    return keys.length ? `${customId}:${keys.join(',')}` : customId;
+}
+
+// Seletor de idioma com os idiomas em que o FAQ tem conteúdo
+// Até 5 idiomas cabem como botões numa ActionRow; acima disso vira um StringSelect
+// page: página atual da resposta, mantida ao trocar de idioma
+function buildLanguagePicker(contentKey, currentLang, { data, dataset = PRODUCTION_DATASET, trail = '', page = 1 }) {
+    const langs = getFaqLanguages(contentKey, data);
+    if (langs.length <= 1) return null;
+
+    if (langs.length <= 5) {
+        const prefix = datasetCustomId(dataset, 'lang_btn');
+        return {
+            type: ComponentType.ActionRow,
+            components: langs.map(lang => {
+                const info = getLanguageInfo(lang, data);
+                return {
+                    type: ComponentType.Button,
+                    custom_id: withTrail(`${prefix}:${contentKey}:${lang}:${page}`, trail),
+                    style: lang === currentLang ? ButtonStyle.Primary : ButtonStyle.Secondary,
+                    label: info.name,
+                    emoji: { name: info.emoji },
+                    disabled: lang === currentLang,
+                };
+            }),
+        };
+    }
+
+    return {
+        type: ComponentType.ActionRow,
+        components: [{
+            type: ComponentType.StringSelect,
+            custom_id: withTrail(datasetCustomId(dataset, `lang_sel:${contentKey}:${page}`), trail),
+            placeholder: getLanguageInfo(currentLang, data).name,
+            options: langs.slice(0, SELECT_OPTION_LIMIT).map(lang => {
+                const info = getLanguageInfo(lang, data);
+                return { label: info.name, value: lang, emoji: { name: info.emoji }, default: lang === currentLang };
+            }),
+        }],
+    };
+}
+
+// Garante que o idioma pedido existe nos dados, senão cai para inglês
+function resolveLanguage(lang, dataset = PRODUCTION_DATASET, guildId = null) {
+    const data = loadDataset(dataset, guildId);
+    return getAvailableLanguages(data).includes(lang) ? lang : 'en';
+}
+
+// Idioma do usuário: preferência salva, senão o locale do cliente Discord mapeado para os idiomas do FAQ
+function getUserLanguage(i, dataset = PRODUCTION_DATASET) {
+    const data = loadDataset(dataset, i.guildId);
+    const saved = getUserLang(i.user.id);
+    if (saved && getAvailableLanguages(data).includes(saved)) return saved;
+    return matchLocale(i.locale, data) || 'en';
+}
+
+// Ids e nomes dos cargos de quem interagiu, para os FAQs restritos a cargos (canAccessFaq)
+// i.member pode vir sem cache (só os ids em roles), aí os nomes saem do cache de cargos da guild
+function getMemberRoles(i) {
+    const ids = Array.isArray(i.member?.roles) ? i.member.roles : [...(i.member?.roles?.cache?.keys() || [])];
+    const names = ids.map(id => i.guild?.roles.cache.get(id)?.name).filter(Boolean);
+    return [...ids, ...names];
+}
+
+// Recusa um FAQ restrito a quem não tem os cargos: responde com o aviso e retorna true
+async function denyRestricted(i, contentKey, dataset, lang) {
+    if (canAccessFaq(contentKey, getMemberRoles(i), loadDataset(dataset, i.guildId))) return false;
+    await i.reply({ content: uiText(lang, 'restricted'), flags: MessageFlags.Ephemeral });
+    return true;
+}
+
+// Botões "ajudou / não ajudou" no fim da resposta
+// feedbackState: null (ainda não votou), 'up', 'down' (oferece comentário) ou 'commented'
+function buildFeedbackComponents(contentKey, lang, feedbackState, trail = '') {
+    if (feedbackState === 'up' || feedbackState === 'commented') {
+        return [{ type: ComponentType.TextDisplay, content: `-# ${uiText(lang, 'feedbackThanks')}` }];
+    }
+
+    if (feedbackState === 'down') {
+        return [
+            { type: ComponentType.TextDisplay, content: `-# ${uiText(lang, 'commentPrompt')}` },
+            {
+                type: ComponentType.ActionRow,
+                components: [{
+                    type: ComponentType.Button,
+                    custom_id: withTrail(`fb_comment:${contentKey}:${lang}`, trail),
+                    style: ButtonStyle.Secondary,
+                    label: uiText(lang, 'commentButton'),
+                    emoji: { name: '💬' },
+                }],
+            },
+        ];
+    }
+
+    return [
+        { type: ComponentType.TextDisplay, content: `-# ${uiText(lang, 'feedbackQuestion')}` },
         {
-            type: ComponentType.TextDisplay,
-            content: `[TEST] ${headerText}`
+            type: ComponentType.ActionRow,
+            components: [
+                { type: ComponentType.Button, custom_id: withTrail(`fb_up:${contentKey}:${lang}`, trail), style: ButtonStyle.Success, label: uiText(lang, 'helpful'), emoji: { name: '👍' } },
+                { type: ComponentType.Button, custom_id: withTrail(`fb_down:${contentKey}:${lang}`, trail), style: ButtonStyle.Danger, label: uiText(lang, 'notHelpful'), emoji: { name: '👎' } },
+            ],
         },
     ];
+}
 
-    const categories = (testData.categories || []).map(cat => ({
-        key: cat.id,
-        placeholder: cat.label || cat.id,
-        customId: `tselect_${cat.id}:${nonce}`,
-    }));
+// Limites do Components V2 por mensagem: 40 componentes (contando os aninhados) e 4000 caracteres de texto
+// O conteúdo de cada página fica abaixo disso, reservando espaço para container, voltar, idioma, feedback e navegação
+const PAGE_COMPONENT_BUDGET = 23;
+const PAGE_TEXT_BUDGET = 3800;
 
-    if (!categories.length) {
-        const derived = new Set(Object.values(testData.faqs).map(f => f.categoryId || f.category).filter(Boolean));
-        for (const id of derived) categories.push({ key: id, placeholder: id, customId: `tselect_${id}:${nonce}` });
-    }
+function countComponents(component) {
+    const children = component.components || [];
+    return 1 + children.reduce((sum, child) => sum + countComponents(child), 0) + (component.accessory ? 1 : 0);
+}
 
-    for (const cat of categories) {
-        const faqs = getFaqsByFile(TEST_FAQ_FILE, cat.key);
-        if (!faqs || faqs.length === 0) continue;
+function textLength(component) {
+    const own = component.type === ComponentType.TextDisplay ? component.content.length : 0;
+    return own + (component.components || []).reduce((sum, child) => sum + textLength(child), 0);
+}
 
-        const options = faqs.slice(0, 25).map(f => ({ label: f.label, value: f.key }));
+// Quebra um texto longo em pedaços de até maxLength, preferindo parágrafos, depois linhas
+function splitText(text, maxLength) {
+    const chunks = [];
+    let rest = text;
 
-        components.push({
-            type: ComponentType.ActionRow,
-            components: [{
-                type: ComponentType.StringSelect,
-                custom_id: cat.customId,
-                placeholder: cat.placeholder,
-                options,
-            }],
-        });
+    while (rest.length > maxLength) {
+        const window = rest.substring(0, maxLength);
+        let cut = window.lastIndexOf('\n\n');
+        if (cut <= 0) cut = window.lastIndexOf('\n');
+        if (cut <= 0) cut = window.lastIndexOf(' ');
+        if (cut <= 0) cut = maxLength;
+
+        chunks.push(rest.substring(0, cut).trim());
+        rest = rest.substring(cut).trim();
     }
 
-    if (getMediaSupport()) {
-        const mediaComponent = buildInlineMediaComponent(BANNER_URL);
-        if (mediaComponent) components.push(mediaComponent);
+    if (rest) chunks.push(rest);
+    return chunks;
+}
+
+// Distribui os blocos de conteúdo em páginas que respeitam os orçamentos de componentes e texto
+// Cada bloco (ex.: galeria + legenda) fica inteiro na mesma página
+function paginateBlocks(blocks) {
+    const pages = [];
+    let current = [];
+    let components = 0;
+    let text = 0;
+
+    for (const block of blocks) {
+        const blockComponents = block.reduce((sum, c) => sum + countComponents(c), 0);
+        const blockText = block.reduce((sum, c) => sum + textLength(c), 0);
+
+        if (current.length && (components + blockComponents > PAGE_COMPONENT_BUDGET || text + blockText > PAGE_TEXT_BUDGET)) {
+            pages.push(current);
+            current = [];
+            components = 0;
+            text = 0;
+        }
+
+        current.push(...block);
+        components += blockComponents;
+        text += blockText;
     }
 
-    return {
-        flags: MessageFlags.IsComponentsV2,
-        components: [{ type: ComponentType.Container, components }],
-    };
+    if (current.length) pages.push(current);
+    return pages.length ? pages : [[]];
 }
 
-function buildLanguageToggle(contentKey, currentLang, isTest = false) {
-    const isEn = currentLang === 'en';
-    const prefix = isTest ? 'tlang_btn' : 'lang_btn';
+// Botões anterior / próxima com o indicador "x/y" desabilitado no meio
+// page:<chave>:<idioma>:<página>[:<trilha>], com o prefixo do conjunto fora da produção
+function buildPageNavigation(contentKey, lang, page, totalPages, dataset, trail) {
+    const prefix = datasetCustomId(dataset, 'page');
     return {
         type: ComponentType.ActionRow,
         components: [
             {
                 type: ComponentType.Button,
-                custom_id: `${prefix}:${contentKey}:${isEn ? 'pt' : 'en'}`,
+                custom_id: withTrail(`${prefix}:${contentKey}:${lang}:${page - 1}`, trail),
+                style: ButtonStyle.Secondary,
+                label: uiText(lang, 'previous'),
+                emoji: { name: '◀️' },
+                disabled: page <= 1,
+            },
+            {
+                type: ComponentType.Button,
+                custom_id: `${prefix}_indicator`,
+                style: ButtonStyle.Secondary,
+                label: `${page}/${totalPages}`,
+                disabled: true,
+            },
+            {
+                type: ComponentType.Button,
+                custom_id: withTrail(`${prefix}:${contentKey}:${lang}:${page + 1}`, trail),
                 style: ButtonStyle.Secondary,
-                label: isEn ? 'Portuguese' : 'English',
-                emoji: isEn ? '🇧🇷' : '🇺🇸',
+                label: uiText(lang, 'next'),
+                emoji: { name: '▶️' },
+                disabled: page >= totalPages,
             },
         ],
     };
 }
 
-function buildCv2Reply(contentKey, lang, isTest = false) {
-    const filePath = isTest ? TEST_FAQ_FILE : FAQ_FILE;
-    const text = isTest
-        ? (getFaqContentFromFile(filePath, contentKey, lang) || 'Conteúdo não encontrado.')
-        : (getFaqContent(contentKey, lang) || 'Conteúdo não encontrado.');
-
-    const components = [];
-    const parts = parseContentMarkers(text);
+// Blocos de componentes do conteúdo de um FAQ, um por parte, prontos para paginateBlocks
+// buildFaqLink(part): componente para um [faq:chave|label], ou null para descartá-lo
+function buildContentBlocks(text, buildFaqLink) {
+    const blocks = [];
+    const parts = groupGalleries(parseContentMarkers(text));
 
     for (const part of parts) {
         if (part.type === 'text') {
-            components.push({ type: ComponentType.TextDisplay, content: part.content });
-        } else if (part.type === 'file') {
-            const mediaComponent = buildInlineMediaComponent(part.url, part.fileType);
-            if (mediaComponent) components.push(mediaComponent);
+            for (const chunk of splitText(part.content, PAGE_TEXT_BUDGET)) {
+                blocks.push([{ type: ComponentType.TextDisplay, content: chunk }]);
+            }
+        } else if (part.type === 'gallery') {
+            blocks.push(buildGalleryComponents(part.items));
+        } else if (part.type === 'section') {
+            blocks.push(buildSectionComponents(part));
+        } else if (part.type === 'separator') {
+            if (ComponentType.Separator !== undefined) {
+                blocks.push([{ type: ComponentType.Separator, divider: true, spacing: part.large ? 2 : 1 }]);
+            }
         } else if (part.type === 'link') {
-            components.push({
+            blocks.push([{
                 type: ComponentType.ActionRow,
                 components: [{
                     type: ComponentType.Button,
@@ -391,11 +795,64 @@ function buildCv2Reply(contentKey, lang, isTest = false) {
                     url: part.url,
                     label: part.label
                 }]
-            });
+            }]);
+        } else if (part.type === 'faq') {
+            const row = buildFaqLink(part);
+            if (row) blocks.push([row]);
         }
     }
 
-    components.push(buildLanguageToggle(contentKey, lang, isTest));
+    return blocks;
+}
+
+// trail: FAQs visitados antes deste via [faq:], habilita o botão de voltar
+// page: página da resposta (1 em diante); valores fora do intervalo vão para a primeira ou a última
+// guildId: guild onde a resposta é mostrada, para usar o conteúdo próprio dela
+function buildCv2Reply(contentKey, lang, dataset = PRODUCTION_DATASET, { feedbackState = null, trail = '', page = 1, guildId = null } = {}) {
+    const data = loadDataset(dataset, guildId);
+    const text = getFaqContent(contentKey, lang, data) || 'Conteúdo não encontrado.';
+
+    // Link para outro FAQ: troca o card atual pelo destino, guardando este na trilha
+    const blocks = buildContentBlocks(text, (part) => ({
+        type: ComponentType.ActionRow,
+        components: [{
+            type: ComponentType.Button,
+            style: ButtonStyle.Primary,
+            custom_id: withTrail(datasetCustomId(dataset, `faq_go:${part.key}`), pushTrail(trail, contentKey)),
+            label: part.label.substring(0, 80),
+            emoji: { name: '📖' },
+        }]
+    }));
+
+    const pages = paginateBlocks(blocks);
+    const currentPage = Math.min(Math.max(Number(page) || 1, 1), pages.length);
+    const isLastPage = currentPage === pages.length;
+    const components = [...pages[currentPage - 1]];
+
+    if (pages.length > 1) {
+        components.push(buildPageNavigation(contentKey, lang, currentPage, pages.length, dataset, trail));
+    }
+
+    if (trail) {
+        components.push({
+            type: ComponentType.ActionRow,
+            components: [{
+                type: ComponentType.Button,
+                style: ButtonStyle.Secondary,
+                custom_id: datasetCustomId(dataset, `faq_back:${trail}`),
+                label: uiText(lang, 'back'),
+                emoji: { name: '⬅️' },
+            }],
+        });
+    }
+
+    const languagePicker = buildLanguagePicker(contentKey, lang, { data, dataset, trail, page: currentPage });
+    if (languagePicker) components.push(languagePicker);
+
+    // Feedback só para o FAQ de produção, na última página da resposta
+    if (dataset === PRODUCTION_DATASET && isLastPage && faqExists(contentKey, data)) {
+        components.push(...buildFeedbackComponents(contentKey, lang, feedbackState, trail));
+    }
 
     return {
         flags: MessageFlags.IsComponentsV2 | MessageFlags.Ephemeral,
@@ -403,215 +860,1293 @@ function buildCv2Reply(contentKey, lang, isTest = false) {
     };
 }
 
-async function registerCommands() {
-    const rest = new REST({ version: '10' }).setToken(TOKEN);
-    const body = [
-        {
-            name: 'faq',
-            description: 'Gerencia o sistema de FAQ do servidor.',
-            default_member_permissions: PermissionFlagsBits.Administrator.toString(),
-            options: [
-                {
-                    name: 'setup',
-                    description: 'Cria ou atualiza a mensagem de FAQ neste canal.',
-                    type: 1,
-                    options: [
-                        { name: 'channel', description: 'Canal onde postar a mensagem', type: 7, required: false },
-                    ],
-                },
-                {
-                    name: 'test',
-                    description: 'Cria ou atualiza uma mensagem de FAQ de TESTE (testfaq.json).',
-                    type: 1,
-                    options: [
-                        { name: 'channel', description: 'Canal onde postar a mensagem de teste', type: 7, required: false },
-                    ],
-                },
-                {
-                    name: 'import',
-                    description: 'Importa um arquivo JSON para faq.json ou testfaq.json.',
-                    type: 1,
-                    options: [
-                        { name: 'arquivo', description: 'Arquivo JSON para importar', type: 11, required: true },
-                        {
-                            name: 'destino',
-                            description: 'Onde salvar o arquivo',
-                            type: 3,
-                            required: false,
-                            choices: [
-                                { name: 'faq.json (produção)', value: 'faq' },
-                                { name: 'testfaq.json (teste)', value: 'test' },
-                            ],
-                        },
-                    ],
-                },
-                {
-                    name: 'export',
-                    description: 'Exporta o faq.json atual como arquivo.',
-                    type: 1,
-                    options: [
-                        {
-                            name: 'arquivo',
-                            description: 'Qual arquivo exportar',
-                            type: 3,
-                            required: false,
-                            choices: [
-                                { name: 'faq.json (produção)', value: 'faq' },
-                                { name: 'testfaq.json (teste)', value: 'test' },
-                            ],
-                        },
-                    ],
-                },
-            ],
-        },
-    ];
+// Canal de fórum: cada FAQ vira um post trancado para respostas, com a tag da sua categoria
+// Limites do Discord: 20 tags por fórum, 20 caracteres por nome de tag
+const FORUM_TAG_LIMIT = 20;
+const FORUM_TAG_NAME_LIMIT = 20;
 
-    try {
-        await rest.put(Routes.applicationCommands(APPLICATION_ID), { body });
-    } catch (err) {
-        logMessage('ERROR', `registrar comandos: ${err.message}`);
-    }
+function forumPostUrl(guildId, threadId) {
+    return `https://discord.com/channels/${guildId}/${threadId}`;
 }
 
-client.once(Events.ClientReady, async () => {
-    logMessage('BOOT', `logado como ${client.user.tag}`);
-
-    await registerCommands();
-
-    const store = readStore();
-    let storeChanged = false;
+// Páginas de um post: só o conteúdo, sem seletor de idioma nem feedback (a mensagem é pública)
+// [faq:] vira um botão de link para o post do destino; destinos ainda sem post são descartados
+function buildForumPostPages(contentKey, data, placement, guildId) {
+    const text = getFaqContent(contentKey, placement.lang, data) || '';
 
-    for (const [guildId, entry] of Object.entries(store.guilds)) {
-        try {
-            const guild = await client.guilds.fetch(guildId);
-            const channel = entry.channelId ? await guild.channels.fetch(entry.channelId).catch(() => null) : null;
+    const blocks = buildContentBlocks(text, (part) => {
+        const target = placement.posts[part.key];
+        if (!target || target.archived) return null;
+        return {
+            type: ComponentType.ActionRow,
+            components: [{
+                type: ComponentType.Button,
+                style: ButtonStyle.Link,
+                url: forumPostUrl(guildId, target.threadId),
+                label: part.label.substring(0, 80),
+                emoji: { name: '📖' },
+            }]
+        };
+    });
+
+    return paginateBlocks(blocks).map(components => ({
+        flags: MessageFlags.IsComponentsV2,
+        components: [{ type: ComponentType.Container, components }],
+    }));
+}
 
-            if (!channel || channel.type !== ChannelType.GuildText) {
-                logMessage('WARN', `canal do FAQ ausente para guild ${guildId}`);
-                continue;
-            }
+// Garante uma tag do fórum por categoria publicada, reaproveitando as já criadas (pelo id salvo ou pelo nome)
+// Tags renomeadas acompanham o label da categoria; acima do limite do Discord a categoria fica sem tag
+async function ensureForumTags(channel, placement, categories, data) {
+    const tags = channel.availableTags.map(tag => ({ ...tag }));
+    const wanted = new Map();
+    let changed = false;
 
-            let message = null;
-            if (entry.messageId) {
-                message = await channel.messages.fetch(entry.messageId).catch(() => null);
+    for (const cat of categories) {
+        const name = (getCategoryLabel(cat.id, placement.lang, data) || cat.id).substring(0, FORUM_TAG_NAME_LIMIT);
+        wanted.set(cat.id, name);
+
+        const current = tags.find(tag => tag.id && tag.id === placement.tags[cat.id]) || tags.find(tag => tag.name === name);
+        if (current) {
+            if (current.name !== name) {
+                current.name = name;
+                changed = true;
             }
+            continue;
+        }
 
-            if (!message) {
-                const nextNonce = (entry.nonce || 1) + 1;
-                const newMsg = await channel.send(buildCv2Root(nextNonce));
-                entry.messageId = newMsg.id;
-                entry.channelId = channel.id;
-                entry.nonce = nextNonce;
-                storeChanged = true;
-                logMessage('SETUP', `FAQ criado em <#${channel.id}>`);
-            }
-        } catch (e) {
-            logMessage('WARN', `falha ao restaurar FAQ da guild ${guildId}: ${e.message}`);
+        if (tags.length >= FORUM_TAG_LIMIT) {
+            logMessage('WARN', `fórum <#${channel.id}> sem espaço para a tag da categoria ${cat.id}`);
+            continue;
         }
+        tags.push({ name });
+        changed = true;
     }
 
-    if (storeChanged) writeStore(store);
+    const available = changed
+        ? (await channel.setAvailableTags(tags.map(({ id, name, moderated, emoji }) => ({ id, name, moderated, emoji })))).availableTags
+        : channel.availableTags;
 
-    logMessage('BOOT', 'pronto');
-});
+    placement.tags = {};
+    for (const [categoryId, name] of wanted) {
+        const tag = available.find(t => t.name === name);
+        if (tag) placement.tags[categoryId] = tag.id;
+    }
+}
+
+// Cria ou atualiza o post de um FAQ; páginas além da primeira vão como mensagens seguintes no post
+// O hash do conteúdo renderizado evita editar posts que não mudaram
+// Retorna 'created', 'updated' ou null quando nada mudou
+async function syncForumPost(channel, placement, entry, data, guildId) {
+    const pages = buildForumPostPages(entry.key, data, placement, guildId);
+    const tagId = placement.tags[entry.categoryId];
+    const appliedTags = tagId ? [tagId] : [];
+    const hash = createHash('sha1').update(JSON.stringify({ name: entry.label, appliedTags, pages })).digest('hex');
+
+    const post = placement.posts[entry.key];
+    const thread = post ? await channel.threads.fetch(post.threadId).catch(() => null) : null;
+
+    if (!thread) {
+        const created = await channel.threads.create({ name: entry.label, message: pages[0], appliedTags });
+        const extraMessageIds = [];
+        for (const page of pages.slice(1)) {
+            extraMessageIds.push((await created.send(page)).id);
+        }
+        await created.setLocked(true);
+        placement.posts[entry.key] = { threadId: created.id, extraMessageIds, hash, archived: false };
+        return 'created';
+    }
+
+    if (post.hash === hash && !post.archived && !thread.archived) return null;
+
+    if (thread.archived) await thread.setArchived(false);
+    await thread.edit({ name: entry.label, appliedTags, locked: true });
+
+    const starter = await thread.fetchStarterMessage();
+    await starter.edit(pages[0]);
+
+    const extraMessageIds = [];
+    for (const [idx, page] of pages.slice(1).entries()) {
+        const existingId = post.extraMessageIds?.[idx];
+        const existing = existingId ? await thread.messages.fetch(existingId).catch(() => null) : null;
+        extraMessageIds.push(existing ? (await existing.edit(page)).id : (await thread.send(page)).id);
+    }
+    for (const id of (post.extraMessageIds || []).slice(pages.length - 1)) {
+        await thread.messages.delete(id).catch(() => null);
+    }
+
+    placement.posts[entry.key] = { threadId: thread.id, extraMessageIds, hash, archived: false };
+    return 'updated';
+}
+
+// Arquiva (trancado) os posts de FAQs que saíram do conteúdo ou do filtro de categorias
+// O post fica no store para ser reaberto se o FAQ voltar; posts apagados à mão são esquecidos
+async function archiveForumPost(channel, placement, key) {
+    const post = placement.posts[key];
+    const thread = await channel.threads.fetch(post.threadId).catch(() => null);
+    if (!thread) {
+        delete placement.posts[key];
+        return false;
+    }
+    if (!thread.locked) await thread.setLocked(true);
+    if (!thread.archived) await thread.setArchived(true);
+    post.archived = true;
+    return true;
+}
+
+// Sincroniza um placement de fórum com o conteúdo atual: cria, edita e arquiva posts conforme o FAQ
+// Quando posts novos são criados, uma segunda passada atualiza os [faq:] que apontavam para eles
+// Retorna as contagens { created, updated, archived }
+async function syncForumPlacement(channel, placement, guildId) {
+    const data = loadDataset(placement.dataset, guildId);
+    if (!data?.faqs) throw new Error(`conjunto ${placement.dataset} vazio ou inválido`);
+
+    const categories = (data.categories || []).filter(cat => !placement.categories || placement.categories.includes(cat.id));
+    await ensureForumTags(channel, placement, categories, data);
+
+    const entries = categories.flatMap(cat => getFaqsByCategory(cat.id, placement.lang, data)
+        .map(faq => ({ ...faq, categoryId: cat.id })));
+    // Resultado de cada post: um post criado na primeira passada e reeditado na segunda conta só como criado
+    const results = new Map();
+    for (let pass = 0; pass < 2; pass++) {
+        let createdPosts = false;
+        for (const entry of entries) {
+            const result = await syncForumPost(channel, placement, entry, data, guildId);
+            if (result === 'created') createdPosts = true;
+            if (result && !results.has(entry.key)) results.set(entry.key, result);
+        }
+        if (!createdPosts) break;
+    }
+
+    const counts = { created: 0, updated: 0, archived: 0 };
+    for (const result of results.values()) counts[result]++;
+
+    const keys = new Set(entries.map(entry => entry.key));
+    for (const [key, post] of Object.entries(placement.posts)) {
+        if (keys.has(key) || post.archived) continue;
+        if (await archiveForumPost(channel, placement, key)) counts.archived++;
+    }
+
+    return counts;
+}
+
+// Reedita as mensagens do FAQ (placements) de um conjunto em todos os servidores configurados
+// Incrementa o nonce de cada placement para invalidar interações antigas e loga um resumo
+// dataset: null para todos os conjuntos; guildId: limita a uma guild, para mudanças no conteúdo próprio dela
+// restoreMissing: reposta mensagens apagadas (usado no boot)
+// Placements de fórum são sincronizados post a post (syncForumPlacement), contando cada post alterado
+// Cada placement é relido antes e gravado logo depois (savePlacement): a atualização leva vários segundos
+// e setups, remoções e sugestões feitos nesse meio tempo não podem ser sobrescritos
+// Retorna quantos servidores tiveram alguma mensagem atualizada
+async function refreshAllGuildMessages(reason = 'atualização', { dataset = PRODUCTION_DATASET, guildId = null, restoreMissing = false } = {}) {
+    const failures = [];
+    const updatedGuilds = new Set();
+    let updatedMessages = 0;
+
+    for (const [storedGuildId, guildEntry] of Object.entries(readStore().guilds)) {
+        if (guildId && storedGuildId !== guildId) continue;
+
+        for (const { id } of guildEntry.placements) {
+            const placement = findStoredPlacement(storedGuildId, id);
+            if (!placement) continue;
+            if (dataset && placement.dataset !== dataset) continue;
+            if (placement.type === 'message' && !placement.messageId && !restoreMissing) continue;
+            const label = `${storedGuildId}#${placement.id}`;
+
+            try {
+                const guild = await client.guilds.fetch(storedGuildId);
+                const channel = await guild.channels.fetch(placement.channelId).catch(() => null);
+                const expectedType = placement.type === 'forum' ? ChannelType.GuildForum : ChannelType.GuildText;
+                if (!channel || channel.type !== expectedType) {
+                    failures.push(`${label} (canal ausente)`);
+                    continue;
+                }
+
+                if (placement.type === 'forum') {
+                    let counts;
+                    try {
+                        counts = await syncForumPlacement(channel, placement, storedGuildId);
+                    } finally {
+                        // Posts já criados ficam registrados mesmo se a sincronização parar no meio
+                        savePlacement(storedGuildId, placement, ['posts', 'tags']);
+                    }
+                    const changed = counts.created + counts.updated + counts.archived;
+                    if (changed) {
+                        updatedMessages += changed;
+                        updatedGuilds.add(storedGuildId);
+                    }
+                    continue;
+                }
+
+                const message = placement.messageId ? await channel.messages.fetch(placement.messageId).catch(() => null) : null;
+                if (!message && !restoreMissing) {
+                    failures.push(`${label} (mensagem ausente)`);
+                    continue;
+                }
+
+                const payload = buildCv2Root({ ...placement, nonce: placement.nonce + 1 }, storedGuildId);
+                if (!payload) {
+                    failures.push(`${label} (conjunto ${placement.dataset} vazio ou inválido)`);
+                    continue;
+                }
+
+                if (message) {
+                    await message.edit(payload);
+                } else {
+                    const newMsg = await channel.send(payload);
+                    placement.messageId = newMsg.id;
+                    logMessage('SETUP', `FAQ recriado em <#${channel.id}> (${label})`);
+                }
+                placement.nonce += 1;
+                savePlacement(storedGuildId, placement, ['messageId', 'nonce']);
+                updatedMessages++;
+                updatedGuilds.add(storedGuildId);
+            } catch (e) {
+                failures.push(`${label} (${e.message})`);
+            }
+        }
+    }
+
+    const scope = dataset && dataset !== PRODUCTION_DATASET ? ` [${dataset}]` : '';
+    logMessage('REFRESH', `${reason}${scope}: ${updatedMessages} mensagem(ns) atualizada(s) em ${updatedGuilds.size} servidor(es)`);
+    if (failures.length) logMessage('WARN', `falha ao atualizar FAQ em: ${failures.join(', ')}`);
+
+    // O conteúdo pode ter ganhado ou perdido janelas de visibilidade: reagenda a próxima re-renderização
+    scheduleVisibilityRefresh();
+
+    return updatedGuilds.size;
+}
+
+// Agendador das janelas de visibilidade (visibleFrom/visibleUntil): dorme até a próxima mudança em algum
+// conteúdo publicado e re-renderiza só as guilds e conjuntos afetados
+// Esperas longas são limitadas para recalcular de tempos em tempos (setTimeout não aceita mais que ~24 dias)
+const SCHEDULE_MAX_DELAY = 6 * 60 * 60 * 1000;
+let scheduleTimer = null;
+let scheduleCheckedAt = Date.now();
+
+// Pares guild/conjunto com alguma mensagem ou fórum publicado
+function publishedScopes() {
+    const scopes = new Map();
+    for (const [guildId, guildEntry] of Object.entries(readStore().guilds)) {
+        for (const placement of guildEntry.placements) {
+            scopes.set(`${guildId}:${placement.dataset}`, { guildId, dataset: placement.dataset });
+        }
+    }
+    return [...scopes.values()];
+}
+
+function scheduleVisibilityRefresh() {
+    clearTimeout(scheduleTimer);
+    const now = Date.now();
+    const next = publishedScopes()
+        .map(({ guildId, dataset }) => nextScheduleChange(loadDataset(dataset, guildId), now))
+        .filter(Boolean)
+        .reduce((min, at) => Math.min(min, at), Infinity);
+    if (next === Infinity) return;
+
+    // Sem o catch, uma falha do Discord ou do disco viraria uma rejeição não tratada e derrubaria o processo
+    scheduleTimer = setTimeout(() => {
+        runVisibilityRefresh().catch((err) => {
+            logMessage('ERROR', `janela de visibilidade: ${err.message}`);
+            scheduleVisibilityRefresh();
+        });
+    }, Math.min(next - now + 1000, SCHEDULE_MAX_DELAY));
+}
+
+async function runVisibilityRefresh() {
+    const since = scheduleCheckedAt;
+    const now = Date.now();
+    scheduleCheckedAt = now;
+
+    for (const { guildId, dataset } of publishedScopes()) {
+        if (!hasScheduleChangeBetween(loadDataset(dataset, guildId), since, now)) continue;
+        await refreshAllGuildMessages('janela de visibilidade', { dataset, guildId });
+    }
+    scheduleVisibilityRefresh();
+}
+
+// Placement dono de uma mensagem, para validar o nonce e re-renderizar menus antigos
+function findPlacementByMessage(guildId, messageId) {
+    return readStore().guilds[guildId]?.placements.find(p => p.messageId === messageId) || null;
+}
+
+// Compara o nonce do customId (<prefixo>_<cat>:<nonce>) com o nonce salvo do placement da mensagem
+// Mensagens sem placement no store não têm como ser verificadas e são aceitas
+function isStaleSelect(i, placement) {
+    if (!placement) return false;
+    const nonce = Number(i.customId.split(':').pop());
+    return nonce !== placement.nonce;
+}
+
+// Menu desatualizado ou apontando para um FAQ removido: re-renderiza a mensagem com a versão atual
+// e avisa o usuário em uma resposta efêmera
+// O menu personalizado (efêmero, sem placement) é refeito com os cargos de quem clicou, senão perderia os FAQs restritos
+async function handleStaleMenu(i, dataset, placement) {
+    const isPersonalMenu = !placement && i.message.flags?.has(MessageFlags.Ephemeral);
+    const payload = isPersonalMenu
+        ? buildCv2Root({ lang: getUserLanguage(i, dataset), dataset, roles: getMemberRoles(i) }, i.guildId)
+        : buildCv2Root(placement || { dataset }, i.guildId);
+
+    if (payload) {
+        await i.update(payload);
+    } else {
+        await i.deferUpdate();
+    }
+    await i.followUp({ content: '🔄 Este menu foi atualizado. Escolha a pergunta de novo na mensagem atualizada.', flags: MessageFlags.Ephemeral });
+    logMessage('WARN', `menu desatualizado em guild ${i.guildId} (${i.customId}), mensagem re-renderizada`);
+}
+
+// Caminho único de gravação do faq.json: registra a versão, recarrega e atualiza todos os servidores
+async function saveFaqData(data, meta) {
+    const version = writeFaqVersion(FAQ_FILE, data, meta);
+    reloadFaq();
+    const updatedCount = await refreshAllGuildMessages(`${meta.action} v${version.version}`);
+    return { version, updatedCount };
+}
+
+// Gravação de qualquer conjunto: a produção passa pelo histórico; os demais só gravam o arquivo
+// e atualizam as mensagens daquele conjunto
+async function saveDataset(dataset, data, meta) {
+    if (dataset === PRODUCTION_DATASET) return saveFaqData(data, meta);
+
+    fs.writeFileSync(datasetFile(dataset), JSON.stringify(data, null, 4));
+    const updatedCount = await refreshAllGuildMessages(meta.action, { dataset });
+    return { version: null, updatedCount };
+}
+
+// Modal de criação/edição de FAQ: label, categoria e conteúdo por idioma
+// Sem idioma escolhido mostra o conteúdo dos primeiros idiomas que cabem; com idioma, só aquele
+// Pré-preenchido com o conteúdo efetivo da guild (camada própria sobre o faq.json)
+function buildFaqModal(mode, key, lang, guildId) {
+    const data = loadDataset(PRODUCTION_DATASET, guildId);
+    const faq = data?.faqs?.[key];
+    const labelLang = lang || 'en';
+    const contentLangs = lang ? [lang] : getAvailableLanguages(data).slice(0, MODAL_FIELD_LIMIT - 2);
+    const categoryIds = (data?.categories || []).map(c => c.id).join(', ');
+
+    const field = (customId, label, style, value, extra = {}) => ({
+        type: ComponentType.ActionRow,
+        components: [{
+            type: ComponentType.TextInput,
+            custom_id: customId,
+            label: label.substring(0, 45),
+            style,
+            ...(value ? { value } : {}),
+            ...extra,
+        }],
+    });
+
+    // Sem fallback para o inglês: salvar o modal gravaria o texto em inglês como tradução do idioma
+    const components = [
+        field(`label:${labelLang}`, `Label (${labelLang})`, TextInputStyle.Short, faq?.labels?.[labelLang] || '', { required: true, max_length: 100 }),
+        field('category', 'Categoria', TextInputStyle.Short, faq?.categoryId || '', { required: true, max_length: 50, placeholder: categoryIds.substring(0, 100) }),
+    ];
+
+    for (const contentLang of contentLangs) {
+        const info = getLanguageInfo(contentLang, data);
+        components.push(field(`content:${contentLang}`, `Conteúdo · ${info.name} (${contentLang})`, TextInputStyle.Paragraph, faq?.content?.[contentLang] || '', {
+            required: contentLang === 'en',
+            max_length: MODAL_TEXT_LIMIT,
+        }));
+    }
+
+    return {
+        custom_id: `faq_modal:${mode}:${key}`,
+        title: mode === 'add' ? `Novo FAQ: ${key}`.substring(0, 45) : `Editar FAQ: ${key}`.substring(0, 45),
+        components,
+    };
+}
+
+// Gravação do conteúdo próprio de uma guild: atualiza só a mensagem dela
+async function saveGuildFaq(guildId, data, meta) {
+    writeGuildFaq(guildId, data);
+    const updatedCount = await refreshAllGuildMessages(`${meta.action} ${guildFaqFileName(guildId)}`, { guildId });
+    return { version: null, updatedCount };
+}
+
+// Camada crua da guild para as edições pontuais (add/edit/remove); sem arquivo próprio começa vazia
+function readGuildOverlay(guildId) {
+    const overlay = readGuildFaqRaw(guildId) || {};
+    return { ...overlay, faqs: { ...(overlay.faqs || {}) } };
+}
+
+// Grava uma edição pontual na camada da guild: valida já mesclado com a base e, como na importação,
+// descarta da camada os FAQs que ficaram iguais ao faq.json. Com erros de validação nada é gravado
+async function saveGuildFaqEdit(guildId, overlay, meta) {
+    const baseRaw = getBaseRaw();
+    const validation = validateFaq(mergeGuildFaq(baseRaw, overlay));
+    if (validation.errors.length) return { validation, updatedCount: 0 };
+
+    const { updatedCount } = await saveGuildFaq(guildId, pruneGuildOverlay(baseRaw, overlay).overlay, meta);
+    return { validation, updatedCount };
+}
+
+// Prévia de uma importação ou promoção validada: resumo das mudanças com botões de confirmar/cancelar
+// O conteúdo fica em pendingImports até a confirmação; nada é gravado antes disso
+// guildId: destino é o conteúdo próprio da guild (camada sobre o faq.json) em vez do conjunto
+async function replyWithImportPreview(i, { dataset, guildId = null, data, validation, action, note = '' }) {
+    const effective = normalizeFaqData(guildId ? mergeGuildFaq(getBaseRaw(), data) : data);
+    const faqCount = Object.keys(effective.faqs).length;
+
+    // Na camada da guild só fica o que difere da base: FAQs iguais continuam acompanhando o faq.json
+    let stored = data;
+    let pinnedNote = '';
+    if (guildId) {
+        const { overlay, pinned } = pruneGuildOverlay(getBaseRaw(), data);
+        stored = overlay;
+        if (pinned) pinnedNote = `\nℹ️ ${pinned} FAQ(s) iguais ao faq.json compartilhado não foram copiados e continuam acompanhando a base.`;
+    }
+
+    // Categorias com mais de 25 FAQs são divididas em vários selects; avisa quem importou
+    const overflowNote = formatOverflowNote(effective);
+    const warningNote = validation.warnings.length
+        ? `\n⚠️ ${validation.warnings.length} aviso(s) de validação${action === 'import' ? ', use dry_run para ver os detalhes' : ''}.`
+        : '';
+
+    const targetName = guildId ? guildFaqFileName(guildId) : datasetFileName(dataset);
+    const diff = diffFaqData(loadDataset(dataset, guildId), effective);
+
+    for (const [key, entry] of pendingImports) {
+        if (entry.expiresAt < Date.now()) pendingImports.delete(key);
+    }
+
+    const token = i.id;
+    pendingImports.set(token, {
+        userId: i.user.id,
+        author: { id: i.user.id, tag: i.user.tag },
+        dataset,
+        guildId,
+        action,
+        note,
+        data: stored,
+        faqCount,
+        notes: `${overflowNote}${warningNote}${pinnedNote}`,
+        expiresAt: Date.now() + PENDING_IMPORT_TTL,
+    });
+
+    const title = action === 'promote' ? `Prévia da promoção de ${note} para ${targetName}` : `Prévia da importação para ${targetName}`;
+    const header = `📋 **${title}** (${faqCount} FAQs)\n`;
+    const scope = guildId ? 'a mensagem deste servidor' : 'as mensagens do conjunto em todos os servidores';
+    const footer = `${overflowNote}${warningNote}${pinnedNote}\nConfirme para salvar e atualizar ${scope}.`;
+    const summary = formatDiffSummary(diff, 5);
+    const room = 2000 - header.length - footer.length;
+    await i.editReply({
+        content: `${header}${summary.length > room ? `${summary.substring(0, room - 2)}…` : summary}${footer}`,
+        components: [{
+            type: ComponentType.ActionRow,
+            components: [
+                { type: ComponentType.Button, custom_id: `import_confirm:${token}`, style: ButtonStyle.Success, label: 'Confirmar' },
+                { type: ComponentType.Button, custom_id: `import_cancel:${token}`, style: ButtonStyle.Secondary, label: 'Cancelar' },
+            ],
+        }],
+    });
+}
+
+// Grava uma importação ou promoção confirmada e atualiza as mensagens do conjunto de destino
+// pending.action: 'import' ou 'promote' (pending.note guarda o conjunto de origem)
+async function applyImport(pending) {
+    const targetName = pending.guildId ? guildFaqFileName(pending.guildId) : datasetFileName(pending.dataset);
+    const verb = pending.action === 'promote' ? 'Promovido' : 'Importado';
+
+    const meta = { author: pending.author, action: pending.action, note: pending.note };
+    const { version, updatedCount } = pending.guildId
+        ? await saveGuildFaq(pending.guildId, pending.data, meta)
+        : await saveDataset(pending.dataset, pending.data, meta);
+    const versionNote = version ? ` (v${version.version})` : '';
+    logMessage('SETUP', `FAQ ${pending.action} para ${targetName}: ${pending.faqCount} FAQs${versionNote}`);
+
+    if (updatedCount > 0) {
+        return `✅ ${verb} para ${targetName}${versionNote}! ${pending.faqCount} FAQs. Mensagem do FAQ atualizada em ${updatedCount} servidor(es).${pending.notes}`;
+    }
+    return `✅ ${verb} para ${targetName}${versionNote}! ${pending.faqCount} FAQs. Use /faq setup para criar a mensagem.${pending.notes}`;
+}
+
+// Resumo de um placement para listagens: tipo, conjunto, idioma e categorias
+function describePlacement(placement) {
+    const categories = placement.categories ? placement.categories.join(', ') : 'todas';
+    const forum = placement.type === 'forum'
+        ? `fórum (${Object.values(placement.posts).filter(post => !post.archived).length} posts) · `
+        : '';
+    return `${forum}${placement.dataset} · ${placement.lang} · categorias: ${categories}`;
+}
+
+// Opção de conjunto de FAQ de um subcomando; null quando o nome não é válido
+function getDatasetOption(i, name = 'dataset') {
+    const value = (i.options.getString(name) || PRODUCTION_DATASET).trim().toLowerCase();
+    return DATASET_NAME_PATTERN.test(value) ? value : null;
+}
+
+// Descrição curta de uma versão do histórico: ação, autor, data e quantidade de FAQs
+function describeVersion(entry) {
+    const action = entry.note ? `${entry.action} ${entry.note}` : entry.action;
+    const author = entry.author?.tag || 'sistema';
+    const date = entry.createdAt.replace('T', ' ').substring(0, 16);
+    return `${action} por ${author} em ${date} UTC (${entry.faqCount} FAQs)`;
+}
+
+async function registerCommands() {
+    const rest = new REST({ version: '10' }).setToken(TOKEN);
+    const body = [
+        {
+            name: 'faq',
+            description: 'Gerencia o sistema de FAQ do servidor.',
+            options: [
+                {
+                    name: 'search',
+                    description: 'Busca uma resposta no FAQ.',
+                    type: 1,
+                    options: [
+                        { name: 'consulta', description: 'O que você quer saber?', type: 3, required: true, autocomplete: true },
+                    ],
+                },
+                {
+                    name: 'setup',
+                    description: 'Cria ou atualiza a mensagem de FAQ neste canal (ou um post por FAQ em um fórum).',
+                    type: 1,
+                    options: [
+                        { name: 'channel', description: 'Canal de texto ou fórum onde publicar o FAQ', type: 7, required: false, channel_types: [ChannelType.GuildText, ChannelType.GuildForum] },
+                        { name: 'idioma', description: 'Idioma dos menus da mensagem', type: 3, required: false, autocomplete: true },
+                        { name: 'dataset', description: 'Conjunto de FAQ (padrão: production)', type: 3, required: false, autocomplete: true },
+                        { name: 'categorias', description: 'Ids das categorias mostradas, separados por vírgula ("todas" para remover o filtro)', type: 3, required: false },
+                    ],
+                },
+                {
+                    name: 'placements',
+                    description: 'Lista ou remove as mensagens de FAQ deste servidor.',
+                    type: 1,
+                    options: [
+                        { name: 'remover', description: 'Placement a remover (apaga a mensagem; no fórum, arquiva os posts)', type: 4, required: false, autocomplete: true },
+                    ],
+                },
+                {
+                    name: 'suggestions',
+                    description: 'Liga, ajusta ou lista as sugestões automáticas de FAQ em canais.',
+                    type: 1,
+                    options: [
+                        { name: 'ativo', description: 'Liga ou desliga as sugestões no canal (vazio: lista os canais)', type: 5, required: false },
+                        { name: 'canal', description: 'Canal (padrão: este)', type: 7, required: false, channel_types: [ChannelType.GuildText, ChannelType.GuildForum] },
+                        { name: 'limiar', description: `Confiança mínima de 0.3 a 1 (padrão: ${SUGGESTION_DEFAULT_THRESHOLD})`, type: 10, required: false, min_value: 0.3, max_value: 1 },
+                        { name: 'cooldown', description: `Segundos entre sugestões no canal (padrão: ${SUGGESTION_DEFAULT_COOLDOWN})`, type: 4, required: false, min_value: 10, max_value: 86400 },
+                    ],
+                },
+                {
+                    name: 'import',
+                    description: 'Importa um arquivo JSON para um conjunto de FAQ.',
+                    type: 1,
+                    options: [
+                        { name: 'arquivo', description: 'Arquivo JSON para importar', type: 11, required: true },
+                        { name: 'dry_run', description: 'Apenas valida e mostra o relatório, sem salvar', type: 5, required: false },
+                        { name: 'dataset', description: 'Conjunto de destino, existente ou novo (padrão: conteúdo deste servidor)', type: 3, required: false, autocomplete: true },
+                    ],
+                },
+                {
+                    name: 'export',
+                    description: 'Exporta um conjunto de FAQ como arquivo.',
+                    type: 1,
+                    options: [
+                        { name: 'dataset', description: 'Conjunto a exportar (padrão: conteúdo deste servidor)', type: 3, required: false, autocomplete: true },
+                        { name: 'versao', description: 'Versão do histórico a exportar (só production)', type: 4, required: false, autocomplete: true },
+                        {
+                            name: 'formato',
+                            description: 'Formato do arquivo (padrão: json)',
+                            type: 3,
+                            required: false,
+                            choices: Object.keys(EXPORT_FORMATS).map(format => ({ name: format, value: format })),
+                        },
+                        { name: 'idioma', description: 'Idioma do markdown, html ou csv (padrão: o seu)', type: 3, required: false, autocomplete: true },
+                    ],
+                },
+                {
+                    name: 'promote',
+                    description: 'Copia um conjunto de FAQ validado para outro, com prévia das mudanças.',
+                    type: 1,
+                    options: [
+                        { name: 'de', description: 'Conjunto de origem (ex.: staging)', type: 3, required: true, autocomplete: true },
+                        { name: 'para', description: 'Conjunto de destino (padrão: production)', type: 3, required: false, autocomplete: true },
+                    ],
+                },
+                {
+                    name: 'add',
+                    description: 'Cria um FAQ novo neste servidor por formulário.',
+                    type: 1,
+                    options: [
+                        { name: 'chave', description: 'Chave do FAQ (minúsculas, números e _)', type: 3, required: true, max_length: 60 },
+                        { name: 'idioma', description: 'Idioma do formulário (padrão: todos que couberem)', type: 3, required: false, autocomplete: true },
+                    ],
+                },
+                {
+                    name: 'edit',
+                    description: 'Edita um FAQ deste servidor por formulário.',
+                    type: 1,
+                    options: [
+                        { name: 'chave', description: 'FAQ a editar', type: 3, required: true, autocomplete: true },
+                        { name: 'idioma', description: 'Idioma a editar (padrão: todos que couberem)', type: 3, required: false, autocomplete: true },
+                    ],
+                },
+                {
+                    name: 'remove',
+                    description: 'Remove um FAQ deste servidor.',
+                    type: 1,
+                    options: [
+                        { name: 'chave', description: 'FAQ a remover', type: 3, required: true, autocomplete: true },
+                    ],
+                },
+                {
+                    name: 'schedule',
+                    description: 'Lista as próximas mudanças de visibilidade programadas (visibleFrom/visibleUntil).',
+                    type: 1,
+                    options: [
+                        { name: 'dataset', description: 'Conjunto de FAQ (padrão: production)', type: 3, required: false, autocomplete: true },
+                    ],
+                },
+                {
+                    name: 'translations',
+                    description: 'Cobertura das traduções do faq.json e arquivos para tradutores.',
+                    type: 2,
+                    options: [
+                        {
+                            name: 'report',
+                            description: 'Mostra a cobertura por idioma e as traduções faltando ou desatualizadas.',
+                            type: 1,
+                            options: [
+                                { name: 'idioma', description: 'Lista as chaves pendentes deste idioma', type: 3, required: false, autocomplete: true },
+                            ],
+                        },
+                        {
+                            name: 'export',
+                            description: 'Exporta os textos de um idioma (chave, inglês, tradução) para traduzir.',
+                            type: 1,
+                            options: [
+                                { name: 'idioma', description: 'Idioma a traduzir', type: 3, required: true, autocomplete: true },
+                                {
+                                    name: 'formato',
+                                    description: 'Formato do arquivo (padrão: csv)',
+                                    type: 3,
+                                    required: false,
+                                    choices: TRANSLATION_FORMATS.map(format => ({ name: format, value: format })),
+                                },
+                            ],
+                        },
+                        {
+                            name: 'import',
+                            description: 'Importa um arquivo .csv ou .po traduzido para o faq.json, com prévia.',
+                            type: 1,
+                            options: [
+                                { name: 'arquivo', description: 'Arquivo .csv ou .po exportado por /faq translations export', type: 11, required: true },
+                                { name: 'idioma', description: 'Idioma do arquivo (padrão: o indicado no próprio arquivo)', type: 3, required: false, autocomplete: true },
+                                { name: 'dry_run', description: 'Apenas mostra o que mudaria, sem salvar', type: 5, required: false },
+                            ],
+                        },
+                    ],
+                },
+                {
+                    name: 'stats',
+                    description: 'Mostra quais FAQs são mais e menos abertos.',
+                    type: 1,
+                    options: [
+                        {
+                            name: 'periodo',
+                            description: 'Período analisado (padrão: 7 dias)',
+                            type: 3,
+                            required: false,
+                            choices: [
+                                { name: 'Últimas 24 horas', value: '1' },
+                                { name: 'Últimos 7 dias', value: '7' },
+                                { name: 'Últimos 30 dias', value: '30' },
+                                { name: 'Últimos 90 dias', value: '90' },
+                                { name: 'Todo o histórico', value: '0' },
+                            ],
+                        },
+                        {
+                            name: 'escopo',
+                            description: 'Só este servidor ou todos (padrão: este servidor)',
+                            type: 3,
+                            required: false,
+                            choices: [
+                                { name: 'Este servidor', value: 'guild' },
+                                { name: 'Todos os servidores', value: 'all' },
+                            ],
+                        },
+                        { name: 'csv', description: 'Anexa os eventos brutos do período em CSV', type: 5, required: false },
+                    ],
+                },
+                {
+                    name: 'feedback',
+                    description: 'Mostra os FAQs com pior avaliação e os comentários recentes.',
+                    type: 1,
+                    options: [
+                        { name: 'chave', description: 'Filtrar comentários de um FAQ', type: 3, required: false, autocomplete: true },
+                    ],
+                },
+                {
+                    name: 'history',
+                    description: 'Lista as versões recentes do faq.json.',
+                    type: 1,
+                    options: [
+                        { name: 'limite', description: 'Quantas versões mostrar (padrão 10)', type: 4, required: false, min_value: 1, max_value: 25 },
+                    ],
+                },
+                {
+                    name: 'rollback',
+                    description: 'Restaura uma versão anterior do faq.json.',
+                    type: 1,
+                    options: [
+                        { name: 'versao', description: 'Versão a restaurar', type: 4, required: true, autocomplete: true },
+                    ],
+                },
+            ],
+        },
+    ];
+
+    try {
+        await rest.put(Routes.applicationCommands(APPLICATION_ID), { body });
+    } catch (err) {
+        logMessage('ERROR', `registrar comandos: ${err.message}`);
+    }
+}
+
+client.once(Events.ClientReady, async () => {
+    logMessage('BOOT', `logado como ${client.user.tag}`);
+
+    await registerCommands();
+
+    // Restaura mensagens apagadas e atualiza todas as outras, de todos os conjuntos, com o conteúdo atual
+    await refreshAllGuildMessages('boot', { dataset: null, restoreMissing: true });
+
+    // faq.json alterado à mão (deploy, editor): recarrega e atualiza todos os servidores
+    watchFaqFile(FAQ_FILE, async () => {
+        reloadFaq();
+        logMessage('FAQ', 'faq.json alterado no disco, recarregado');
+        await refreshAllGuildMessages('faq.json alterado');
+    });
+
+    // Mesmo caminho de gravação do /faq import: histórico, recarga e atualização das mensagens
+    if (ADMIN_API_TOKEN) {
+        startAdminApi({
+            port: ADMIN_API_PORT,
+            host: ADMIN_API_HOST,
+            token: ADMIN_API_TOKEN,
+            save: saveDataset,
+            render: (key, lang, { dataset, page }) => buildCv2Reply(key, lang, dataset, { page }),
+        });
+    }
+
+    logMessage('BOOT', 'pronto');
+});
+
+// Resposta curta da sugestão automática, em reply à mensagem, com o botão que abre o card completo
+function buildSuggestion(contentKey, lang, data) {
+    return {
+        flags: MessageFlags.IsComponentsV2,
+        allowedMentions: { repliedUser: false },
+        components: [{
+            type: ComponentType.Container,
+            components: [
+                { type: ComponentType.TextDisplay, content: `💡 ${uiText(lang, 'suggestion')}\n**${getFaqLabel(contentKey, lang, data)}**` },
+                {
+                    type: ComponentType.ActionRow,
+                    components: [{
+                        type: ComponentType.Button,
+                        style: ButtonStyle.Primary,
+                        custom_id: `suggest:${contentKey}`,
+                        label: uiText(lang, 'suggestionOpen'),
+                        emoji: { name: '📖' },
+                    }],
+                },
+            ],
+        }],
+    };
+}
+
+// Sugestões automáticas: só em canais ligados com /faq suggestions (threads herdam do canal pai),
+// no máximo uma por canal a cada cooldown e só acima do limiar de confiança do canal
+client.on(Events.MessageCreate, async (message) => {
+    if (!SUGGESTIONS_ENABLED || message.author.bot || !message.guildId || !message.content) return;
+
+    const suggestions = getSuggestionSettings(message.guildId);
+    const settings = suggestions[message.channelId] || suggestions[message.channel.parentId];
+    if (!settings) return;
+
+    const lastAt = suggestionCooldowns.get(message.channelId) || 0;
+    if (Date.now() - lastAt < settings.cooldown * 1000) return;
+
+    try {
+        const data = loadDataset(PRODUCTION_DATASET, message.guildId);
+        const match = suggestFaq(message.content, data, settings.threshold);
+        if (!match) return;
+
+        suggestionCooldowns.set(message.channelId, Date.now());
+        const lang = matchLocale(message.guild.preferredLocale, data) || 'en';
+        await message.reply(buildSuggestion(match.key, lang, data));
+        logMessage('SUGGEST', `${match.key} (confiança ${match.confidence.toFixed(2)}) em <#${message.channelId}>`);
+    } catch (err) {
+        logMessage('ERROR', `sugestão automática: ${err.message}`);
+    }
+});
+
+client.on(Events.InteractionCreate, async (i) => {
+    if (i.isAutocomplete()) {
+        try {
+            const focused = i.options.getFocused(true);
+            // O /faq é visível para todos por causa do search: o autocomplete dos subcomandos de administração
+            // passa pela mesma checagem do comando, senão qualquer membro listaria chaves, versões e conjuntos
+            const isAdminOnly = !PUBLIC_SUBCOMMANDS.has(i.options.getSubcommand(false));
+            if (i.commandName === 'faq' && isAdminOnly && !i.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+                await i.respond([]);
+            } else if (i.commandName === 'faq' && focused.name === 'consulta') {
+                const data = loadDataset(PRODUCTION_DATASET, i.guildId);
+                const results = searchFaqs(focused.value, 25, data, { roles: getMemberRoles(i) });
+                const userLang = getUserLanguage(i);
+                await i.respond(results.map(r => ({ name: getFaqLabel(r.key, userLang, data).substring(0, 100), value: r.key })));
+            } else if (i.commandName === 'faq' && focused.name === 'chave') {
+                // Lista também FAQs ocultos e restritos a cargos: só chega aqui quem é administrador (checagem acima)
+                // As chaves são as do conteúdo deste servidor, onde add/edit/remove gravam
+                const results = searchFaqs(focused.value, 25, loadDataset(PRODUCTION_DATASET, i.guildId), { includeHidden: true });
+                await i.respond(results.map(r => ({ name: `${r.key} · ${r.label}`.substring(0, 100), value: r.key })));
+            } else if (i.commandName === 'faq' && focused.name === 'versao') {
+                const choices = listVersions(25)
+                    .filter(v => !focused.value || String(v.version).startsWith(String(focused.value)))
+                    .map(v => ({ name: `v${v.version} · ${describeVersion(v)}`.substring(0, 100), value: v.version }));
+                await i.respond(choices);
+            } else if (i.commandName === 'faq' && focused.name === 'remover') {
+                const placements = readStore().guilds[i.guildId]?.placements || [];
+                const choices = placements
+                    .filter(p => !focused.value || String(p.id).startsWith(String(focused.value)))
+                    .map(p => {
+                        const channelName = i.guild?.channels.cache.get(p.channelId)?.name || p.channelId;
+                        return { name: `#${p.id} · #${channelName} · ${describePlacement(p)}`.substring(0, 100), value: p.id };
+                    });
+                await i.respond(choices.slice(0, 25));
+            } else if (i.commandName === 'faq' && ['dataset', 'de', 'para'].includes(focused.name)) {
+                const query = focused.value.toLowerCase();
+                const choices = listDatasets()
+                    .filter(name => name.includes(query))
+                    .map(name => ({ name: `${name} (${datasetFileName(name)})`, value: name }));
+                await i.respond(choices.slice(0, 25));
+            } else if (i.commandName === 'faq' && focused.name === 'idioma') {
+                const data = loadDataset(i.options.getString('dataset') || PRODUCTION_DATASET, i.guildId);
+                const query = focused.value.toLowerCase();
+                const choices = getAvailableLanguages(data)
+                    .map(lang => ({ name: `${getLanguageInfo(lang, data).name} (${lang})`, value: lang }))
+                    .filter(c => c.name.toLowerCase().includes(query));
+                await i.respond(choices.slice(0, 25));
+            }
+        } catch (err) {
+            logMessage('ERROR', `autocomplete: ${err.message}`);
+        }
+        return;
+    }
 
-client.on(Events.InteractionCreate, async (i) => {
     try {
         if (i.isChatInputCommand() && i.commandName === 'faq') {
             const subcommand = i.options.getSubcommand();
             const guildId = i.guildId;
 
-            if (!guildId) {
-                await i.reply({ content: 'Este comando só pode ser usado em servidores.', flags: MessageFlags.Ephemeral });
-                return;
-            }
+            if (!guildId) {
+                await i.reply({ content: 'Este comando só pode ser usado em servidores.', flags: MessageFlags.Ephemeral });
+                return;
+            }
+
+            // Permissão por subcomando: o Discord só permite restringir o comando inteiro
+            if (!PUBLIC_SUBCOMMANDS.has(subcommand) && !i.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+                await i.reply({ content: '❌ Apenas administradores podem usar este subcomando.', flags: MessageFlags.Ephemeral });
+                return;
+            }
+
+            // /faq translations <report|export|import>: trabalha sobre o faq.json cru, sem o inglês preenchido pelo loader
+            if (i.options.getSubcommandGroup(false) === 'translations') {
+                const requestedLang = i.options.getString('idioma')?.trim().toLowerCase() || null;
+                if (requestedLang && !/^[a-z]{2,3}(-[a-z0-9]{2,4})?$/i.test(requestedLang)) {
+                    await i.reply({ content: '❌ Código de idioma inválido.', flags: MessageFlags.Ephemeral });
+                    return;
+                }
+
+                let raw;
+                try {
+                    raw = readDatasetRaw(PRODUCTION_DATASET);
+                } catch {
+                    await i.reply({ content: `❌ ${datasetFileName(PRODUCTION_DATASET)} com JSON inválido.`, flags: MessageFlags.Ephemeral });
+                    return;
+                }
+                const data = loadFaq();
+
+                if (subcommand === 'report') {
+                    const { coverage, currentVersion } = translationCoverage(raw);
+                    const lines = coverage.map(({ lang, total, translated, missing, stale }) => {
+                        const name = `**${getLanguageInfo(lang, data).name}** (\`${lang}\`)`;
+                        const percent = total ? Math.floor((translated / total) * 100) : 100;
+                        const emoji = missing || stale ? '⚠️' : '✅';
+                        if (lang === 'en') return `${emoji} ${name} · origem · ${missing} sem texto em inglês`;
+                        return `${emoji} ${name}: ${percent}% (${translated}/${total}) · ${missing} faltando · ${stale} desatualizada(s)`;
+                    });
+
+                    if (requestedLang) {
+                        const pending = translationStatus(raw, requestedLang).filter(row => row.status !== 'ok');
+                        lines.push('', `**Pendências em ${requestedLang}** (${pending.length})`);
+                        for (const row of pending) {
+                            if (row.status === 'missing') {
+                                lines.push(`❌ \`${row.key}\` · faltando`);
+                            } else {
+                                // A última "versão" é o arquivo atual: mudança feita fora do bot, ainda sem snapshot
+                                const when = row.sourceVersion === currentVersion ? 'fora do bot, depois da última versão' : `na v${row.sourceVersion}`;
+                                lines.push(`🕓 \`${row.key}\` · inglês alterado ${when}`);
+                            }
+                        }
+                    }
+
+                    await i.reply({
+                        ...buildReportReply('🌐 **Traduções do faq.json**', lines.join('\n')),
+                        flags: MessageFlags.Ephemeral,
+                    });
+                    return;
+                }
+
+                if (subcommand === 'export') {
+                    const format = i.options.getString('formato') || 'csv';
+                    if (requestedLang === 'en') {
+                        await i.reply({ content: '❌ O inglês é o idioma de origem; exporte o idioma a traduzir.', flags: MessageFlags.Ephemeral });
+                        return;
+                    }
+
+                    const rows = translationStatus(raw, requestedLang);
+                    const missing = rows.filter(row => row.status === 'missing').length;
+                    const stale = rows.filter(row => row.status === 'stale').length;
+                    await i.reply({
+                        content: `📤 ${rows.length} textos em ${requestedLang} · ${missing} faltando · ${stale} desatualizado(s)\nDevolva o arquivo traduzido com /faq translations import.`,
+                        files: [{
+                            attachment: Buffer.from(exportTranslations(raw, requestedLang, format), 'utf8'),
+                            name: `faq-${requestedLang}.${format}`,
+                        }],
+                        flags: MessageFlags.Ephemeral,
+                    });
+                    logMessage('EXPORT', `traduções ${requestedLang} (${format}) exportadas por ${i.user.tag}`);
+                    return;
+                }
+
+                if (subcommand === 'import') {
+                    const attachment = i.options.getAttachment('arquivo', true);
+                    const format = TRANSLATION_FORMATS.find(ext => attachment.name.toLowerCase().endsWith(`.${ext}`));
+                    const dryRun = i.options.getBoolean('dry_run') || false;
+
+                    if (!format) {
+                        await i.reply({ content: '❌ O arquivo deve ser um .csv ou .po', flags: MessageFlags.Ephemeral });
+                        return;
+                    }
+
+                    await i.deferReply({ flags: MessageFlags.Ephemeral });
+
+                    try {
+                        const response = await fetch(attachment.url);
+                        if (!response.ok) {
+                            await i.editReply({ content: '❌ Falha ao baixar o arquivo.' });
+                            return;
+                        }
+
+                        let parsed;
+                        try {
+                            parsed = parseTranslationFile(await response.text(), format);
+                        } catch (err) {
+                            await i.editReply({ content: `❌ Arquivo inválido: ${err.message}` });
+                            return;
+                        }
+
+                        const lang = requestedLang || parsed.lang;
+                        if (!lang) {
+                            await i.editReply({ content: '❌ O arquivo não indica o idioma. Informe a opção idioma.' });
+                            return;
+                        }
+                        // O idioma do arquivo passa pela mesma checagem da opção antes de virar chave no faq.json
+                        if (!/^[a-z]{2,3}(-[a-z0-9]{2,4})?$/i.test(lang)) {
+                            await i.editReply({ content: `❌ Código de idioma inválido no arquivo: ${lang}. Informe a opção idioma.` });
+                            return;
+                        }
+                        if (lang === 'en') {
+                            await i.editReply({ content: '❌ O inglês é o idioma de origem e não é importado por aqui. Use /faq edit ou /faq import.' });
+                            return;
+                        }
+
+                        const { data: updated, changed, unknown } = applyTranslations(raw, lang, parsed.translations);
+                        const unknownNote = unknown.length
+                            ? `\n⚠️ ${unknown.length} chave(s) que não existem mais no faq.json foram ignoradas: ${unknown.slice(0, 10).map(key => `\`${key}\``).join(', ')}${unknown.length > 10 ? '…' : ''}`
+                            : '';
+
+                        if (!changed) {
+                            await i.editReply({ content: `ℹ️ Nada mudou: o arquivo não traz textos novos em ${lang}.${unknownNote}` });
+                            return;
+                        }
+
+                        if (dryRun) {
+                            await i.editReply({ content: `🔍 ${changed} texto(s) em ${lang} seriam atualizados (nada foi salvo).${unknownNote}` });
+                            return;
+                        }
+
+                        const validation = validateFaq(updated);
+                        if (validation.errors.length) {
+                            await i.editReply(buildReportReply('❌ Importação cancelada, corrija os erros abaixo.', formatValidationReport(validation)));
+                            logMessage('WARN', `importação de tradução recusada: ${validation.errors.length} erro(s)`);
+                            return;
+                        }
+
+                        await replyWithImportPreview(i, { dataset: PRODUCTION_DATASET, data: updated, validation, action: 'import', note: `tradução ${lang}` });
+                        if (unknownNote) await i.followUp({ content: unknownNote.trim(), flags: MessageFlags.Ephemeral });
+                    } catch (err) {
+                        await i.editReply({ content: `❌ Erro: ${err.message}` });
+                        logMessage('ERROR', `importar tradução: ${err.message}`);
+                    }
+                    return;
+                }
+            }
+
+            if (subcommand === 'search') {
+                const query = i.options.getString('consulta', true);
+
+                // O autocomplete envia a chave do FAQ; texto livre cai no melhor resultado da busca
+                const data = loadDataset(PRODUCTION_DATASET, guildId);
+                const roles = getMemberRoles(i);
+                const contentKey = faqExists(query, data) && canAccessFaq(query, roles, data)
+                    ? query
+                    : searchFaqs(query, 1, data, { roles })[0]?.key;
+                if (!contentKey) {
+                    await i.reply({ content: 'Nenhum FAQ encontrado para essa busca.', flags: MessageFlags.Ephemeral });
+                    return;
+                }
+
+                const userLang = getUserLanguage(i);
+                await i.reply(buildCv2Reply(contentKey, userLang, PRODUCTION_DATASET, { guildId }));
+                recordEvent({ guildId, key: contentKey, lang: userLang, type: 'search' });
+                return;
+            }
+
+            if (subcommand === 'setup') {
+                const targetChannel = i.options.getChannel('channel') || i.channel;
+                const dataset = getDatasetOption(i);
+
+                const isForum = targetChannel?.type === ChannelType.GuildForum;
+                if (!targetChannel || (targetChannel.type !== ChannelType.GuildText && !isForum)) {
+                    await i.reply({ content: 'Escolha um canal de texto ou fórum válido.', flags: MessageFlags.Ephemeral });
+                    return;
+                }
+
+                if (!dataset || !datasetExists(dataset)) {
+                    await i.reply({ content: `❌ Conjunto de FAQ não encontrado. Disponíveis: ${listDatasets().join(', ')}.`, flags: MessageFlags.Ephemeral });
+                    return;
+                }
+
+                // Só para consulta: o placement é gravado por savePlacement, que relê o store
+                const guildEntry = readStore().guilds[guildId] || { placements: [] };
+                const data = loadDataset(dataset, guildId);
+
+                // Um placement por canal e conjunto: rodar de novo no mesmo canal atualiza, em outro canal cria outro
+                let placement = guildEntry.placements.find(p => p.channelId === targetChannel.id && p.dataset === dataset);
+                const isNew = !placement;
+                if (isNew) {
+                    placement = {
+                        id: nextPlacementId(guildEntry.placements),
+                        channelId: targetChannel.id,
+                        messageId: null,
+                        nonce: 1,
+                        lang: null,
+                        dataset,
+                        categories: null,
+                        type: isForum ? 'forum' : 'message',
+                        ...(isForum ? { posts: {}, tags: {} } : {}),
+                    };
+                }
 
-            if (subcommand === 'setup') {
-                const targetChannel = i.options.getChannel('channel') || i.channel;
+                // Sem filtro explícito mantém o já salvo; "todas" volta a mostrar todas as categorias
+                const requestedCategories = i.options.getString('categorias');
+                if (requestedCategories) {
+                    const ids = requestedCategories.split(',').map(id => id.trim().toLowerCase()).filter(Boolean);
+                    const known = (data?.categories || []).map(c => c.id);
+                    const unknown = ids.filter(id => id !== 'todas' && !known.includes(id));
+                    if (unknown.length) {
+                        await i.reply({ content: `❌ Categoria(s) desconhecida(s): ${unknown.join(', ')}. Disponíveis: ${known.join(', ')}.`, flags: MessageFlags.Ephemeral });
+                        return;
+                    }
+                    placement.categories = ids.includes('todas') || !ids.length ? null : ids;
+                }
+
+                // Sem idioma explícito, usa o já salvo ou o idioma preferido do servidor
+                const requestedLang = i.options.getString('idioma');
+                placement.lang = requestedLang
+                    ? resolveLanguage(requestedLang, dataset, guildId)
+                    : (placement.lang || matchLocale(i.guildLocale, data) || 'en');
+
+                // Fórum: um post por FAQ, sincronizado agora e a cada recarga do conteúdo
+                if (isForum) {
+                    if (!data?.faqs) {
+                        await i.reply({ content: `❌ Erro ao carregar ${datasetFileName(dataset)}.`, flags: MessageFlags.Ephemeral });
+                        return;
+                    }
+
+                    await i.deferReply({ flags: MessageFlags.Ephemeral });
+                    let counts;
+                    try {
+                        counts = await syncForumPlacement(targetChannel, placement, guildId);
+                    } catch (err) {
+                        logMessage('ERROR', `sincronizar fórum <#${targetChannel.id}>: ${err.message}`);
+                        await i.editReply({ content: `❌ Falha ao publicar no fórum: ${err.message}. Verifique as permissões de gerenciar posts e tags.` });
+                        return;
+                    } finally {
+                        // Posts já criados ficam registrados mesmo se a sincronização parar no meio
+                        if (!isNew || counts || Object.keys(placement.posts).length) savePlacement(guildId, placement);
+                    }
 
-                if (!targetChannel || targetChannel.type !== ChannelType.GuildText) {
-                    await i.reply({ content: 'Escolha um canal de texto válido.', flags: MessageFlags.Ephemeral });
+                    const label = dataset === PRODUCTION_DATASET ? 'FAQ' : `FAQ ${dataset}`;
+                    const summary = `${counts.created} criado(s), ${counts.updated} atualizado(s), ${counts.archived} arquivado(s)`;
+                    await i.editReply({ content: `✅ ${label} publicado no fórum <#${targetChannel.id}>: ${summary} (${describePlacement(placement)}).` });
+                    logMessage('SETUP', `${label} publicado no fórum <#${targetChannel.id}> (placement #${placement.id}): ${summary}`);
                     return;
                 }
 
-                const store = readStore();
-                const guildEntry = store.guilds[guildId] || { nonce: 1 };
-                store.guilds[guildId] = guildEntry;
+                const nextNonce = placement.nonce + 1;
+                const payload = buildCv2Root({ ...placement, nonce: nextNonce }, guildId);
+                if (!payload) {
+                    await i.reply({ content: `❌ Erro ao carregar ${datasetFileName(dataset)}.`, flags: MessageFlags.Ephemeral });
+                    return;
+                }
 
+                // Reaproveita a mensagem já registrada para o placement; senão a última mensagem do bot no canal
+                // que não pertença a outro placement (instalações antigas sem messageId)
                 let msg = null;
                 try {
-                    const msgs = await targetChannel.messages.fetch({ limit: 10 });
-                    msg = msgs.find(m => m.author.id === client.user.id) || null;
+                    if (placement.messageId) {
+                        msg = await targetChannel.messages.fetch(placement.messageId).catch(() => null);
+                    }
+                    if (!msg) {
+                        const otherIds = new Set(guildEntry.placements.filter(p => p !== placement).map(p => p.messageId));
+                        const msgs = await targetChannel.messages.fetch({ limit: 10 });
+                        msg = msgs.find(m => m.author.id === client.user.id && !otherIds.has(m.id)) || null;
+                    }
                 } catch (err) {
                     logMessage('WARN', `falha ao buscar mensagens: ${err.message}`);
                 }
 
-                const nextNonce = (guildEntry.nonce || 1) + 1;
-                const payload = buildCv2Root(nextNonce);
-
-                if (msg) {
+                const existed = !!msg;
+                if (existed) {
                     await msg.edit(payload);
-                    guildEntry.messageId = msg.id;
-                    guildEntry.channelId = targetChannel.id;
-                    guildEntry.nonce = nextNonce;
-                    writeStore(store);
-                    await i.reply({ content: `✅ FAQ atualizado em <#${targetChannel.id}>.`, flags: MessageFlags.Ephemeral });
-                    logMessage('SETUP', `FAQ atualizado em <#${targetChannel.id}>`);
                 } else {
-                    const newMsg = await targetChannel.send(payload);
-                    guildEntry.messageId = newMsg.id;
-                    guildEntry.channelId = targetChannel.id;
-                    guildEntry.nonce = nextNonce;
-                    writeStore(store);
-                    await i.reply({ content: `✅ FAQ criado em <#${targetChannel.id}>.`, flags: MessageFlags.Ephemeral });
-                    logMessage('SETUP', `FAQ criado em <#${targetChannel.id}>`);
+                    msg = await targetChannel.send(payload);
                 }
+
+                placement.messageId = msg.id;
+                placement.nonce = nextNonce;
+                savePlacement(guildId, placement);
+
+                const label = dataset === PRODUCTION_DATASET ? 'FAQ' : `FAQ ${dataset}`;
+                const verb = existed ? 'atualizado' : 'criado';
+                await i.reply({ content: `✅ ${label} ${verb} em <#${targetChannel.id}> (${describePlacement(placement)}).`, flags: MessageFlags.Ephemeral });
+                logMessage('SETUP', `${label} ${verb} em <#${targetChannel.id}> (placement #${placement.id})`);
                 return;
             }
 
-            if (subcommand === 'test') {
-                const targetChannel = i.options.getChannel('channel') || i.channel;
-
-                if (!targetChannel || targetChannel.type !== ChannelType.GuildText) {
-                    await i.reply({ content: 'Escolha um canal de texto válido.', flags: MessageFlags.Ephemeral });
+            if (subcommand === 'suggestions') {
+                const enabled = i.options.getBoolean('ativo');
+                const targetChannel = i.options.getChannel('canal') || i.channel;
+                const store = readStore();
+                const guildEntry = store.guilds[guildId] || { placements: [], suggestions: {} };
+                store.guilds[guildId] = guildEntry;
+                const intentNote = SUGGESTIONS_ENABLED
+                    ? ''
+                    : '\n⚠️ O bot está rodando sem FAQ_SUGGESTIONS=true, então nenhuma mensagem é lida até ele ser reiniciado com a opção.';
+
+                if (enabled === null) {
+                    const lines = Object.entries(guildEntry.suggestions)
+                        .map(([channelId, settings]) => `<#${channelId}> · limiar ${settings.threshold} · cooldown ${settings.cooldown}s`);
+                    const content = lines.length
+                        ? `💡 **Sugestões automáticas neste servidor**\n${lines.join('\n')}`
+                        : 'Nenhum canal com sugestões automáticas. Use /faq suggestions ativo:true para ligar.';
+                    await i.reply({ content: `${content}${intentNote}`.substring(0, 2000), flags: MessageFlags.Ephemeral });
                     return;
                 }
 
-                if (!fs.existsSync(TEST_FAQ_FILE)) {
-                    await i.reply({ content: '❌ Arquivo testfaq.json não encontrado.', flags: MessageFlags.Ephemeral });
-                    logMessage('WARN', 'testfaq.json não encontrado');
+                if (!enabled) {
+                    delete guildEntry.suggestions[targetChannel.id];
+                    writeStore(store);
+                    await i.reply({ content: `🔕 Sugestões automáticas desligadas em <#${targetChannel.id}>.`, flags: MessageFlags.Ephemeral });
+                    logMessage('SETUP', `sugestões desligadas em <#${targetChannel.id}> por ${i.user.tag}`);
                     return;
                 }
 
-                const payload = buildTestRoot(Date.now());
-                if (!payload) {
-                    await i.reply({ content: '❌ Erro ao carregar testfaq.json.', flags: MessageFlags.Ephemeral });
+                // Ajustes não informados mantêm os já salvos para o canal
+                const current = guildEntry.suggestions[targetChannel.id] || {};
+                const settings = {
+                    threshold: i.options.getNumber('limiar') ?? current.threshold ?? SUGGESTION_DEFAULT_THRESHOLD,
+                    cooldown: i.options.getInteger('cooldown') ?? current.cooldown ?? SUGGESTION_DEFAULT_COOLDOWN,
+                };
+                guildEntry.suggestions[targetChannel.id] = settings;
+                writeStore(store);
+
+                await i.reply({
+                    content: `💡 Sugestões automáticas ligadas em <#${targetChannel.id}> (limiar ${settings.threshold}, cooldown ${settings.cooldown}s).${intentNote}`,
+                    flags: MessageFlags.Ephemeral,
+                });
+                logMessage('SETUP', `sugestões ligadas em <#${targetChannel.id}> por ${i.user.tag} (limiar ${settings.threshold}, cooldown ${settings.cooldown}s)`);
+                return;
+            }
+
+            if (subcommand === 'placements') {
+                const removeId = i.options.getInteger('remover');
+                const store = readStore();
+                const guildEntry = store.guilds[guildId] || { placements: [] };
+
+                if (removeId) {
+                    const placement = guildEntry.placements.find(p => p.id === removeId);
+                    if (!placement) {
+                        await i.reply({ content: `❌ Placement #${removeId} não encontrado.`, flags: MessageFlags.Ephemeral });
+                        return;
+                    }
+
+                    await i.deferReply({ flags: MessageFlags.Ephemeral });
+
+                    // Apaga a mensagem junto para não deixar um menu órfão no canal
+                    // No fórum os posts são arquivados (não apagados), preservando links já compartilhados
+                    try {
+                        const channel = await i.guild.channels.fetch(placement.channelId).catch(() => null);
+                        if (channel && placement.type === 'forum') {
+                            for (const key of Object.keys(placement.posts)) {
+                                await archiveForumPost(channel, placement, key);
+                            }
+                        }
+                        const message = channel && placement.messageId ? await channel.messages.fetch(placement.messageId).catch(() => null) : null;
+                        if (message) await message.delete();
+                    } catch (err) {
+                        logMessage('WARN', `falha ao apagar mensagem do placement #${removeId}: ${err.message}`);
+                    }
+
+                    updateStore(current => {
+                        const entry = current.guilds[guildId];
+                        if (entry) entry.placements = entry.placements.filter(p => p.id !== removeId);
+                    });
+                    await i.editReply({ content: `🗑️ Placement #${removeId} removido de <#${placement.channelId}>.` });
+                    logMessage('SETUP', `placement #${removeId} removido da guild ${guildId} por ${i.user.tag}`);
                     return;
                 }
 
-                let msg = null;
-                try {
-                    const msgs = await targetChannel.messages.fetch({ limit: 10 });
-                    msg = msgs.find(m => m.author.id === client.user.id) || null;
-                } catch (err) {
-                    logMessage('WARN', `falha ao buscar mensagens: ${err.message}`);
+                if (!guildEntry.placements.length) {
+                    await i.reply({ content: 'Nenhuma mensagem de FAQ neste servidor. Use /faq setup para criar.', flags: MessageFlags.Ephemeral });
+                    return;
                 }
 
-                if (msg) {
-                    await msg.edit(payload);
-                    await i.reply({ content: `✅ FAQ de teste atualizado em <#${targetChannel.id}>.`, flags: MessageFlags.Ephemeral });
-                    logMessage('SETUP', `FAQ de teste atualizado em <#${targetChannel.id}>`);
-                } else {
-                    await targetChannel.send(payload);
-                    await i.reply({ content: `✅ FAQ de teste criado em <#${targetChannel.id}>.`, flags: MessageFlags.Ephemeral });
-                    logMessage('SETUP', `FAQ de teste criado em <#${targetChannel.id}>`);
-                }
+                const lines = guildEntry.placements.map(p => {
+                    const link = p.messageId ? ` · [mensagem](https://discord.com/channels/${guildId}/${p.channelId}/${p.messageId})` : '';
+                    return `**#${p.id}** · <#${p.channelId}> · ${describePlacement(p)}${link}`;
+                });
+                await i.reply({ content: `📌 **Mensagens do FAQ neste servidor**\n${lines.join('\n')}`.substring(0, 2000), flags: MessageFlags.Ephemeral });
                 return;
             }
 
             if (subcommand === 'import') {
                 const attachment = i.options.getAttachment('arquivo');
-                const destino = i.options.getString('destino') || 'faq';
+                const dataset = getDatasetOption(i);
+                // Sem conjunto explícito, o arquivo vira o conteúdo próprio deste servidor
+                const targetGuildId = i.options.getString('dataset') ? null : guildId;
+                const dryRun = i.options.getBoolean('dry_run') || false;
+
+                if (!dataset) {
+                    await i.reply({ content: '❌ Nome de conjunto inválido. Use letras minúsculas, números e - (até 20 caracteres).', flags: MessageFlags.Ephemeral });
+                    return;
+                }
 
                 if (!attachment) {
                     await i.reply({ content: '❌ Anexe um arquivo .json.', flags: MessageFlags.Ephemeral });
@@ -641,92 +2176,367 @@ client.on(Events.InteractionCreate, async (i) => {
                         return;
                     }
 
-                    if (!data.faqs || typeof data.faqs !== 'object') {
-                        await i.editReply({ content: '❌ Estrutura inválida: falta "faqs".' });
+                    // Conteúdo de guild é validado já mesclado com a base, como será mostrado
+                    const validation = validateFaq(targetGuildId ? mergeGuildFaq(getBaseRaw(), data) : data);
+                    const report = formatValidationReport(validation);
+
+                    if (dryRun) {
+                        // Arquivos com erros podem não ter a estrutura esperada: o aviso de categorias só sai dos válidos
+                        const overflowNote = validation.errors.length
+                            ? ''
+                            : formatOverflowNote(normalizeFaqData(targetGuildId ? mergeGuildFaq(getBaseRaw(), data) : data));
+                        await i.editReply(buildReportReply(`🔍 Validação de ${attachment.name} (nada foi salvo)${overflowNote}`, report));
                         return;
                     }
 
-                    const faqCount = Object.keys(data.faqs).length;
-                    if (faqCount === 0) {
-                        await i.editReply({ content: '❌ O arquivo não contém nenhum FAQ.' });
+                    if (validation.errors.length) {
+                        await i.editReply(buildReportReply('❌ Importação cancelada, corrija os erros abaixo.', report));
+                        logMessage('WARN', `importação recusada: ${validation.errors.length} erro(s)`);
                         return;
                     }
 
-                    // Salvar no destino escolhido
-                    const targetFile = destino === 'test' ? TEST_FAQ_FILE : FAQ_FILE;
-                    const targetName = destino === 'test' ? 'testfaq.json' : 'faq.json';
-                    fs.writeFileSync(targetFile, JSON.stringify(data, null, 4));
+                    await replyWithImportPreview(i, { dataset, guildId: targetGuildId, data, validation, action: 'import' });
+                } catch (err) {
+                    await i.editReply({ content: `❌ Erro: ${err.message}` });
+                    logMessage('ERROR', `importar FAQ: ${err.message}`);
+                }
+                return;
+            }
 
-                    if (destino === 'faq') {
-                        try {
-                            const { reloadFaq } = await import('./faq-loader.mjs');
-                            reloadFaq();
-                        } catch (err) {
-                            logMessage('ERROR', `falha ao recarregar FAQ: ${err.message}`);
-                        }
+            if (subcommand === 'promote') {
+                const from = getDatasetOption(i, 'de');
+                const to = getDatasetOption(i, 'para');
+
+                if (!from || !datasetExists(from)) {
+                    await i.reply({ content: `❌ Conjunto de origem não encontrado. Disponíveis: ${listDatasets().join(', ')}.`, flags: MessageFlags.Ephemeral });
+                    return;
+                }
+                if (!to || to === from) {
+                    await i.reply({ content: '❌ Escolha um conjunto de destino válido e diferente da origem.', flags: MessageFlags.Ephemeral });
+                    return;
+                }
+
+                await i.deferReply({ flags: MessageFlags.Ephemeral });
+
+                try {
+                    let data;
+                    try {
+                        data = readDatasetRaw(from);
+                    } catch {
+                        await i.editReply({ content: `❌ ${datasetFileName(from)} com JSON inválido.` });
+                        return;
                     }
 
-                    // Atualiza mensagens do FAQ em todos os servidores configurados
-                    if (destino === 'faq') {
-                        const currentStore = readStore();
-                        let updatedCount = 0;
-                        
-                        for (const [storedGuildId, entry] of Object.entries(currentStore.guilds)) {
-                            if (!entry.channelId || !entry.messageId) continue;
-                            
-                            try {
-                                const guild = await client.guilds.fetch(storedGuildId);
-                                const channel = await guild.channels.fetch(entry.channelId).catch(() => null);
-                                if (!channel) continue;
-                                
-                                const message = await channel.messages.fetch(entry.messageId).catch(() => null);
-                                if (!message) continue;
-                                
-                                // Incrementa nonce para invalidar interações antigas
-                                const nextNonce = (entry.nonce || 1) + 1;
-                                await message.edit(buildCv2Root(nextNonce));
-                                entry.nonce = nextNonce;
-                                updatedCount++;
-                            } catch (e) {
-                                logMessage('WARN', `falha ao atualizar FAQ em guild ${storedGuildId}: ${e.message}`);
-                            }
-                        }
-                        
-                        writeStore(currentStore);
-                        
-                        if (updatedCount > 0) {
-                            await i.editReply({ content: `✅ Importado para ${targetName}! ${faqCount} FAQs. Mensagem do FAQ atualizada em ${updatedCount} servidor(es).` });
-                        } else {
-                            await i.editReply({ content: `✅ Importado para ${targetName}! ${faqCount} FAQs. Use /faq setup para criar a mensagem.` });
-                        }
-                    } else {
-                        await i.editReply({ content: `✅ Importado para ${targetName}! ${faqCount} FAQs.` });
+                    // Só conjuntos sem erros de validação podem ser promovidos
+                    const validation = validateFaq(data);
+                    if (validation.errors.length) {
+                        await i.editReply(buildReportReply(`❌ Promoção cancelada, corrija os erros de ${datasetFileName(from)}.`, formatValidationReport(validation)));
+                        logMessage('WARN', `promoção de ${from} recusada: ${validation.errors.length} erro(s)`);
+                        return;
                     }
-                    
-                    logMessage('SETUP', `FAQ importado para ${targetName}: ${faqCount} FAQs`);
+
+                    await replyWithImportPreview(i, { dataset: to, data, validation, action: 'promote', note: from });
                 } catch (err) {
                     await i.editReply({ content: `❌ Erro: ${err.message}` });
-                    logMessage('ERROR', `importar FAQ: ${err.message}`);
+                    logMessage('ERROR', `promover FAQ: ${err.message}`);
+                }
+                return;
+            }
+
+            if (subcommand === 'add' || subcommand === 'edit') {
+                const key = i.options.getString('chave', true).trim();
+                const requestedLang = i.options.getString('idioma');
+                const lang = requestedLang ? requestedLang.trim().toLowerCase() : null;
+
+                if (subcommand === 'add' && !FAQ_KEY_PATTERN.test(key)) {
+                    await i.reply({ content: '❌ Chave inválida. Use apenas letras minúsculas, números e _ (até 60 caracteres).', flags: MessageFlags.Ephemeral });
+                    return;
+                }
+                // Como o /faq import, add/edit/remove agem no conteúdo deste servidor (guilds/<id>.json sobre o faq.json)
+                const current = loadDataset(PRODUCTION_DATASET, guildId);
+                if (subcommand === 'add' && faqExists(key, current, { includeHidden: true })) {
+                    await i.reply({ content: `❌ Já existe um FAQ com a chave \`${key}\`. Use /faq edit.`, flags: MessageFlags.Ephemeral });
+                    return;
+                }
+                if (subcommand === 'edit' && !faqExists(key, current, { includeHidden: true })) {
+                    await i.reply({ content: `❌ FAQ \`${key}\` não encontrado.`, flags: MessageFlags.Ephemeral });
+                    return;
+                }
+                if (lang && !/^[a-z]{2,3}(-[a-z0-9]{2,4})?$/i.test(lang)) {
+                    await i.reply({ content: '❌ Código de idioma inválido.', flags: MessageFlags.Ephemeral });
+                    return;
+                }
+
+                const modal = buildFaqModal(subcommand, key, lang, guildId);
+                const tooLong = modal.components.some(row => (row.components[0].value || '').length > MODAL_TEXT_LIMIT);
+                if (tooLong) {
+                    await i.reply({ content: `❌ O conteúdo deste FAQ passa de ${MODAL_TEXT_LIMIT} caracteres e não cabe no formulário. Use /faq export e /faq import.`, flags: MessageFlags.Ephemeral });
+                    return;
+                }
+
+                await i.showModal(modal);
+                return;
+            }
+
+            if (subcommand === 'remove') {
+                const key = i.options.getString('chave', true).trim();
+                if (!faqExists(key, loadDataset(PRODUCTION_DATASET, guildId), { includeHidden: true })) {
+                    await i.reply({ content: `❌ FAQ \`${key}\` não encontrado.`, flags: MessageFlags.Ephemeral });
+                    return;
+                }
+
+                await i.deferReply({ flags: MessageFlags.Ephemeral });
+
+                try {
+                    // FAQ da base fica null na camada (some só deste servidor); FAQ próprio da guild sai da camada
+                    const overlay = readGuildOverlay(guildId);
+                    if (!isStandaloneGuildFaq(overlay) && getBaseRaw().faqs?.[key]) overlay.faqs[key] = null;
+                    else delete overlay.faqs[key];
+
+                    const { validation, updatedCount } = await saveGuildFaqEdit(guildId, overlay, {
+                        author: { id: i.user.id, tag: i.user.tag },
+                        action: 'remove',
+                        note: key,
+                    });
+                    if (validation.errors.length) {
+                        await i.editReply(buildReportReply('❌ Remoção cancelada, o arquivo ficaria inválido.', formatValidationReport(validation)));
+                        return;
+                    }
+
+                    await i.editReply({ content: `🗑️ FAQ \`${key}\` removido de ${guildFaqFileName(guildId)}. Mensagem do FAQ atualizada em ${updatedCount} servidor(es).` });
+                    logMessage('SETUP', `FAQ ${key} removido por ${i.user.tag}`);
+                } catch (err) {
+                    await i.editReply({ content: `❌ Erro: ${err.message}` });
+                    logMessage('ERROR', `remover FAQ: ${err.message}`);
+                }
+                return;
+            }
+
+            if (subcommand === 'schedule') {
+                const dataset = getDatasetOption(i);
+                const data = dataset ? loadDataset(dataset, guildId) : null;
+                if (!data) {
+                    await i.reply({ content: `❌ Conjunto de FAQ não encontrado. Disponíveis: ${listDatasets().join(', ')}.`, flags: MessageFlags.Ephemeral });
+                    return;
+                }
+
+                const changes = listScheduleChanges(data, Date.now(), getUserLanguage(i, dataset));
+                if (!changes.length) {
+                    await i.reply({ content: `🗓️ Nenhuma mudança de visibilidade programada em ${dataset}.`, flags: MessageFlags.Ephemeral });
+                    return;
+                }
+
+                const lines = changes.map(change => {
+                    const time = Math.floor(change.at / 1000);
+                    const action = change.type === 'show' ? '🟢 aparece' : '🔴 some';
+                    return `<t:${time}:f> (<t:${time}:R>) · ${action} · **${change.label}** \`${change.key}\``;
+                });
+                await i.reply({
+                    ...buildReportReply(`🗓️ **Próximas mudanças de visibilidade** (${dataset})`, lines.join('\n')),
+                    flags: MessageFlags.Ephemeral,
+                });
+                return;
+            }
+
+            if (subcommand === 'stats') {
+                const days = Number(i.options.getString('periodo') || '7');
+                const scope = i.options.getString('escopo') || 'guild';
+                const wantsCsv = i.options.getBoolean('csv') || false;
+
+                const now = Date.now();
+                const periodMs = days * 24 * 60 * 60 * 1000;
+                const since = days ? now - periodMs : 0;
+                const filterGuild = scope === 'guild' ? guildId : null;
+
+                const events = readEvents({ since, guildId: filterGuild });
+                const previous = days ? readEvents({ since: since - periodMs, until: since, guildId: filterGuild }) : [];
+                const data = loadDataset(PRODUCTION_DATASET, filterGuild);
+                const stats = summarizeStats(events, Object.keys(data?.faqs || {}), { since, until: now, previous });
+
+                const periodLabel = days ? `últimos ${days} dia(s)` : 'todo o histórico';
+                const scopeLabel = scope === 'guild' ? 'este servidor' : 'todos os servidores';
+                const lines = [`📊 **Estatísticas do FAQ** · ${periodLabel} · ${scopeLabel}`];
+
+                lines.push(`Visualizações: **${stats.totalViews}** · Trocas de idioma: ${stats.languageSwitches}`);
+                if (days) {
+                    const delta = stats.previousViews
+                        ? `${stats.totalViews >= stats.previousViews ? '+' : ''}${Math.round(((stats.totalViews - stats.previousViews) / stats.previousViews) * 100)}%`
+                        : 'sem dados';
+                    lines.push(`Período anterior: ${stats.previousViews} (${delta})`);
+                }
+
+                const label = (key) => getFaqLabel(key, 'en', data) || key;
+                lines.push('\n**Mais vistos**');
+                lines.push(...stats.top.map(([key, count], idx) => `${idx + 1}. ${label(key)} · ${count}`));
+                lines.push('\n**Menos vistos**');
+                lines.push(...stats.least.map(([key, count]) => `• ${label(key)} · ${count}`));
+
+                if (stats.languages.length) {
+                    lines.push('\n**Idiomas**');
+                    lines.push(stats.languages.map(([lang, count]) => {
+                        const percent = Math.round((count / stats.totalViews) * 100);
+                        return `${getLanguageInfo(lang, data).emoji} ${lang} ${percent}%`;
+                    }).join(' · '));
+                }
+
+                if (stats.totalViews) {
+                    const max = Math.max(...stats.daily.map(d => d.count), 1);
+                    lines.push('\n**Por dia**');
+                    lines.push('```');
+                    lines.push(...stats.daily.map(d => `${d.date} ${'█'.repeat(Math.round((d.count / max) * 20)).padEnd(20, '·')} ${d.count}`));
+                    lines.push('```');
+                }
+
+                const reply = { content: lines.join('\n').substring(0, 2000), flags: MessageFlags.Ephemeral };
+                if (wantsCsv) {
+                    reply.files = [{ attachment: Buffer.from(eventsToCsv(events), 'utf8'), name: `faq-stats-${days || 'all'}d.csv` }];
+                }
+
+                await i.reply(reply);
+                return;
+            }
+
+            if (subcommand === 'feedback') {
+                const key = i.options.getString('chave');
+                const data = loadDataset(PRODUCTION_DATASET, guildId);
+                const label = (k) => getFaqLabel(k, 'en', data) || `${k} (removido)`;
+                const lines = ['🗳️ **Feedback do FAQ**'];
+
+                // Com chave, os votos daquele FAQ; sem chave, os pior avaliados do servidor
+                const lowest = key ? [getVoteTotal(guildId, key)].filter(Boolean) : getLowestRated(guildId, 10);
+                lines.push(key ? '\n**Votos**' : '\n**Pior avaliados**');
+                if (lowest.length) {
+                    for (const t of lowest) {
+                        const percent = Math.round(t.ratio * 100);
+                        const langs = Object.entries(t.byLang).map(([lang, v]) => `${lang} 👍${v.up} 👎${v.down}`).join(' · ');
+                        lines.push(`• ${label(t.key)} · ${percent}% ajudou (${t.up + t.down} votos) · ${langs}`);
+                    }
+                } else {
+                    lines.push('Nenhum voto ainda.');
+                }
+
+                const comments = getRecentComments(guildId, 10, key);
+                lines.push('\n**Comentários recentes**');
+                if (comments.length) {
+                    for (const c of comments) {
+                        const unix = Math.floor(c.ts / 1000);
+                        lines.push(`• <t:${unix}:R> · ${label(c.key)} (${c.lang}): ${c.comment.replace(/\s+/g, ' ').substring(0, 200)}`);
+                    }
+                } else {
+                    lines.push('Nenhum comentário ainda.');
+                }
+
+                await i.reply({ ...buildReportReply(lines[0], lines.slice(1).join('\n')), flags: MessageFlags.Ephemeral });
+                return;
+            }
+
+            if (subcommand === 'history') {
+                const limit = i.options.getInteger('limite') || 10;
+                const versions = listVersions(limit);
+
+                if (!versions.length) {
+                    await i.reply({ content: 'Nenhuma versão no histórico ainda. O histórico começa no próximo /faq import.', flags: MessageFlags.Ephemeral });
+                    return;
+                }
+
+                const lines = versions.map((v, idx) => {
+                    const unix = Math.floor(new Date(v.createdAt).getTime() / 1000);
+                    const action = v.note ? `${v.action} ${v.note}` : v.action;
+                    // Gravações pela API não têm usuário do Discord, só a tag 'api'
+                    const author = v.author?.id ? `<@${v.author.id}>` : (v.author?.tag || 'sistema');
+                    return `**v${v.version}**${idx === 0 ? ' (atual)' : ''} · <t:${unix}:f> · ${action} por ${author} · ${v.faqCount} FAQs`;
+                });
+
+                await i.reply({
+                    ...buildReportReply('📜 **Histórico do faq.json**', lines.join('\n')),
+                    allowedMentions: { parse: [] },
+                    flags: MessageFlags.Ephemeral,
+                });
+                return;
+            }
+
+            if (subcommand === 'rollback') {
+                const versionNumber = i.options.getInteger('versao', true);
+                const snapshot = getVersion(versionNumber);
+
+                if (!snapshot) {
+                    await i.reply({ content: `❌ Versão v${versionNumber} não encontrada no histórico.`, flags: MessageFlags.Ephemeral });
+                    return;
+                }
+
+                await i.deferReply({ flags: MessageFlags.Ephemeral });
+
+                try {
+                    const { version: entry, updatedCount } = await saveFaqData(snapshot.data, {
+                        author: { id: i.user.id, tag: i.user.tag },
+                        action: 'rollback',
+                        note: `v${versionNumber}`,
+                    });
+
+                    await i.editReply({ content: `✅ faq.json restaurado para v${versionNumber} (salvo como v${entry.version}). Mensagem do FAQ atualizada em ${updatedCount} servidor(es).` });
+                    logMessage('SETUP', `rollback para v${versionNumber} por ${i.user.tag}`);
+                } catch (err) {
+                    await i.editReply({ content: `❌ Erro: ${err.message}` });
+                    logMessage('ERROR', `rollback FAQ: ${err.message}`);
                 }
                 return;
             }
 
             if (subcommand === 'export') {
-                const arquivo = i.options.getString('arquivo') || 'faq';
-                const targetFile = arquivo === 'test' ? TEST_FAQ_FILE : FAQ_FILE;
-                const targetName = arquivo === 'test' ? 'testfaq.json' : 'faq.json';
+                const dataset = getDatasetOption(i);
+                const versionNumber = i.options.getInteger('versao');
+                const format = i.options.getString('formato') || 'json';
+
+                if (!dataset) {
+                    await i.reply({ content: '❌ Nome de conjunto inválido.', flags: MessageFlags.Ephemeral });
+                    return;
+                }
+
+                // Sem conjunto explícito exporta o conteúdo próprio deste servidor; sem ele, o faq.json compartilhado
+                const isDefault = !i.options.getString('dataset');
+                const guildExport = isDefault && !versionNumber && hasGuildFaq(guildId);
+                const sharedNote = isDefault && !guildExport && !versionNumber
+                    ? 'ℹ️ Este servidor não tem conteúdo próprio e usa o faq.json compartilhado.'
+                    : undefined;
+                const targetFile = guildExport ? guildFaqFile(guildId) : datasetFile(dataset);
+                let targetName = guildExport ? `faq-guild-${guildId}.json` : datasetFileName(dataset);
+
+                if (versionNumber && dataset !== PRODUCTION_DATASET) {
+                    await i.reply({ content: '❌ O histórico de versões existe apenas para o faq.json.', flags: MessageFlags.Ephemeral });
+                    return;
+                }
 
-                if (!fs.existsSync(targetFile)) {
+                if (!versionNumber && !fs.existsSync(targetFile)) {
                     await i.reply({ content: `❌ Arquivo ${targetName} não encontrado.`, flags: MessageFlags.Ephemeral });
                     return;
                 }
 
                 try {
-                    const fileContent = fs.readFileSync(targetFile, 'utf8');
-                    JSON.parse(fileContent);
+                    let fileContent;
+                    if (versionNumber) {
+                        const snapshot = getVersion(versionNumber);
+                        if (!snapshot) {
+                            await i.reply({ content: `❌ Versão v${versionNumber} não encontrada no histórico.`, flags: MessageFlags.Ephemeral });
+                            return;
+                        }
+                        fileContent = snapshot.content;
+                        targetName = `faq-v${versionNumber}.json`;
+                    } else {
+                        fileContent = fs.readFileSync(targetFile, 'utf8');
+                    }
+                    const parsed = JSON.parse(fileContent);
+
+                    // Markdown, html e csv saem do conteúdo efetivo: o da guild já mesclado com a base
+                    if (format !== 'json') {
+                        const data = guildExport ? loadDataset(PRODUCTION_DATASET, guildId) : normalizeFaqData(parsed);
+                        const requestedLang = i.options.getString('idioma');
+                        const lang = requestedLang ? resolveLanguage(requestedLang, dataset, guildId) : getUserLanguage(i, dataset);
+                        fileContent = renderFaqExport(data, format, lang);
+                        targetName = exportFileName(targetName, format, lang);
+                    }
 
                     const buffer = Buffer.from(fileContent, 'utf8');
-                    
+
                     const editorButton = {
                         type: ComponentType.ActionRow,
                         components: [
@@ -734,14 +2544,15 @@ client.on(Events.InteractionCreate, async (i) => {
                                 type: ComponentType.Button,
                                 style: ButtonStyle.Link,
                                 label: 'FAQ EDITOR',
-                                url: 'https://gurren.squareweb.app/',
+                                url: EDITOR_URL,
                                 emoji: { name: '✏️' }
                             }
                         ]
                     };
 
                     await i.reply({
-                        components: [editorButton],
+                        content: sharedNote,
+                        components: format === 'json' ? [editorButton] : [],
                         files: [{
                             attachment: buffer,
                             name: targetName
@@ -760,45 +2571,254 @@ client.on(Events.InteractionCreate, async (i) => {
             return;
         }
 
-        // Regex: select_<categoria>:<nonce> - valida formato e nonce para evitar interações antigas
-        if (i.isStringSelectMenu() && /^select_[a-z0-9_]+:\d+$/.test(i.customId)) {
+        // Menus e cards de conjuntos que não são a produção levam o prefixo <conjunto>/ no customId
+        const { dataset, customId } = parseDatasetCustomId(i.customId);
+        const isProduction = dataset === PRODUCTION_DATASET;
+
+        // Regex: select_<categoria>[.<página>]:<nonce> - valida formato e nonce para evitar interações antigas
+        if (i.isStringSelectMenu() && /^select_[a-z0-9_]+(?:\.\d+)?:\d+$/.test(customId)) {
             const contentKey = i.values[0];
-            if (!faqExists(contentKey)) {
-                await i.reply({ content: 'Conteúdo não encontrado.', flags: MessageFlags.Ephemeral });
+            const placement = findPlacementByMessage(i.guildId, i.message.id);
+            if (isStaleSelect(i, placement) || !faqExists(contentKey, loadDataset(dataset, i.guildId))) {
+                await handleStaleMenu(i, dataset, placement);
                 return;
             }
-            const userLang = userLangCache.get(i.user.id) || 'en';
-            await i.reply(buildCv2Reply(contentKey, userLang, false));
+            const userLang = getUserLanguage(i, dataset);
+            if (await denyRestricted(i, contentKey, dataset, userLang)) return;
+            await i.reply(buildCv2Reply(contentKey, userLang, dataset, { guildId: i.guildId }));
+            if (isProduction) recordEvent({ guildId: i.guildId, key: contentKey, lang: userLang, type: 'select' });
             return;
         }
 
-        // Regex: tselect_<categoria>:<nonce> - versão de teste (testfaq.json)
-        if (i.isStringSelectMenu() && /^tselect_[a-z0-9_]+:\d+$/.test(i.customId)) {
-            const contentKey = i.values[0];
-            if (!faqExistsInFile(TEST_FAQ_FILE, contentKey)) {
+        // Menu personalizado: os menus da mensagem incluindo os FAQs restritos aos cargos de quem clicou, em resposta efêmera
+        // O select dele passa pelas mesmas verificações (FAQ existe e cargos) antes de responder
+        if (i.isButton() && customId === 'personal') {
+            const placement = findPlacementByMessage(i.guildId, i.message.id);
+            const payload = buildCv2Root({
+                nonce: placement?.nonce,
+                lang: getUserLanguage(i, dataset),
+                dataset,
+                categories: placement?.categories,
+                roles: getMemberRoles(i),
+            }, i.guildId);
+
+            if (!payload) {
+                await handleStaleMenu(i, dataset, placement);
+                return;
+            }
+            await i.reply(payload);
+            return;
+        }
+
+        // Feedback: fb_up:<chave>:<idioma> / fb_down:<chave>:<idioma>
+        if (i.isButton() && /^fb_(up|down):/.test(i.customId)) {
+            const [action, contentKey, lang, trail = ''] = i.customId.split(':');
+            if (!faqExists(contentKey, loadDataset(PRODUCTION_DATASET, i.guildId))) {
                 await i.reply({ content: 'Conteúdo não encontrado.', flags: MessageFlags.Ephemeral });
                 return;
             }
-            const userLang = userLangCache.get(i.user.id) || 'en';
-            await i.reply(buildCv2Reply(contentKey, userLang, true));
+            const helpful = action === 'fb_up';
+            recordVote({ key: contentKey, lang, userId: i.user.id, guildId: i.guildId, helpful });
+            await i.update(buildCv2Reply(contentKey, lang, PRODUCTION_DATASET, { feedbackState: helpful ? 'up' : 'down', trail, page: Infinity, guildId: i.guildId }));
+            return;
+        }
+
+        // Comentário opcional depois de um "não ajudou": fb_comment:<chave>:<idioma>
+        if (i.isButton() && i.customId.startsWith('fb_comment:')) {
+            const [, contentKey, lang, trail = ''] = i.customId.split(':');
+            await i.showModal({
+                custom_id: withTrail(`fb_modal:${contentKey}:${lang}`, trail),
+                title: uiText(lang, 'commentTitle'),
+                components: [{
+                    type: ComponentType.ActionRow,
+                    components: [{
+                        type: ComponentType.TextInput,
+                        custom_id: 'comment',
+                        label: uiText(lang, 'commentLabel'),
+                        style: TextInputStyle.Paragraph,
+                        required: true,
+                        min_length: 3,
+                        max_length: 500,
+                    }],
+                }],
+            });
+            return;
+        }
+
+        if (i.isModalSubmit() && i.customId.startsWith('fb_modal:')) {
+            const [, contentKey, lang, trail = ''] = i.customId.split(':');
+            const comment = i.fields.getTextInputValue('comment').trim();
+            addComment({ key: contentKey, lang, userId: i.user.id, guildId: i.guildId, comment });
+
+            if (i.isFromMessage() && faqExists(contentKey, loadDataset(PRODUCTION_DATASET, i.guildId))) {
+                await i.update(buildCv2Reply(contentKey, lang, PRODUCTION_DATASET, { feedbackState: 'commented', trail, page: Infinity, guildId: i.guildId }));
+            } else {
+                await i.reply({ content: uiText(lang, 'feedbackThanks'), flags: MessageFlags.Ephemeral });
+            }
+            return;
+        }
+
+        // Formulário de FAQ: faq_modal:<add|edit>:<chave>
+        if (i.isModalSubmit() && i.customId.startsWith('faq_modal:')) {
+            if (!i.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+                await i.reply({ content: '❌ Apenas administradores podem editar o FAQ.', flags: MessageFlags.Ephemeral });
+                return;
+            }
+
+            const [, mode, key] = i.customId.split(':');
+            await i.deferReply({ flags: MessageFlags.Ephemeral });
+
+            try {
+                // O FAQ atual é o efetivo da guild (próprio ou herdado da base); a versão editada vai para a camada dela
+                const overlay = readGuildOverlay(i.guildId);
+                const existing = mergeGuildFaq(getBaseRaw(), overlay).faqs?.[key];
+
+                if (mode === 'add' && existing) {
+                    await i.editReply({ content: `❌ Já existe um FAQ com a chave \`${key}\`.` });
+                    return;
+                }
+                if (mode === 'edit' && !existing) {
+                    await i.editReply({ content: `❌ FAQ \`${key}\` não existe mais.` });
+                    return;
+                }
+
+                const faq = { ...(existing || {}) };
+                faq.content = { ...(faq.content || {}) };
+
+                for (const input of i.fields.fields.values()) {
+                    const [fieldName, lang] = input.customId.split(':');
+                    const value = (input.value || '').trim();
+
+                    if (fieldName === 'category') {
+                        const categoryField = faq.category !== undefined && faq.categoryId === undefined ? 'category' : 'categoryId';
+                        faq[categoryField] = value.toLowerCase();
+                    } else if (fieldName === 'label') {
+                        const labelField = faq.labels !== undefined ? 'labels' : 'label';
+                        faq[labelField] = setLanguageValue(faq[labelField], lang, value);
+                    } else if (fieldName === 'content') {
+                        if (value) faq.content[lang] = value;
+                        else delete faq.content[lang];
+                    }
+                }
+
+                overlay.faqs[key] = faq;
+
+                const { validation, updatedCount } = await saveGuildFaqEdit(i.guildId, overlay, {
+                    author: { id: i.user.id, tag: i.user.tag },
+                    action: mode,
+                    note: key,
+                });
+                if (validation.errors.length) {
+                    await i.editReply(buildReportReply('❌ Alteração não salva, corrija os erros abaixo.', formatValidationReport(validation)));
+                    return;
+                }
+
+                const verb = mode === 'add' ? 'criado' : 'atualizado';
+                await i.editReply({ content: `✅ FAQ \`${key}\` ${verb} em ${guildFaqFileName(i.guildId)}. Mensagem do FAQ atualizada em ${updatedCount} servidor(es).` });
+                logMessage('SETUP', `FAQ ${key} ${verb} por ${i.user.tag}`);
+            } catch (err) {
+                await i.editReply({ content: `❌ Erro: ${err.message}` });
+                logMessage('ERROR', `salvar FAQ: ${err.message}`);
+            }
+            return;
+        }
+
+        // Confirmação de importação: import_confirm:<token> / import_cancel:<token>
+        if (i.isButton() && /^import_(confirm|cancel):/.test(i.customId)) {
+            const [action, token] = i.customId.split(':');
+            const pending = pendingImports.get(token);
+
+            if (!pending || pending.expiresAt < Date.now()) {
+                pendingImports.delete(token);
+                await i.update({ content: '⌛ Esta importação expirou. Rode /faq import de novo.', components: [] });
+                return;
+            }
+
+            if (pending.userId !== i.user.id) {
+                await i.reply({ content: '❌ Só quem iniciou a importação pode confirmá-la.', flags: MessageFlags.Ephemeral });
+                return;
+            }
+
+            pendingImports.delete(token);
+
+            if (action === 'import_cancel') {
+                const what = pending.action === 'promote' ? 'Promoção cancelada' : 'Importação cancelada';
+                await i.update({ content: `🚫 ${what}. Nada foi alterado.`, components: [] });
+                return;
+            }
+
+            await i.update({ content: '⏳ Salvando e atualizando as mensagens...', components: [] });
+            try {
+                await i.editReply({ content: await applyImport(pending), components: [] });
+            } catch (err) {
+                await i.editReply({ content: `❌ Erro: ${err.message}`, components: [] });
+                logMessage('ERROR', `importar FAQ: ${err.message}`);
+            }
+            return;
+        }
+
+        // Botão da sugestão automática: suggest:<chave> abre a resposta completa para quem clicou
+        if (i.isButton() && /^suggest:/.test(customId)) {
+            const contentKey = customId.split(':')[1];
+            const lang = getUserLanguage(i);
+            if (!faqExists(contentKey, loadDataset(PRODUCTION_DATASET, i.guildId))) {
+                await i.reply({ content: uiText(lang, 'linkNotFound'), flags: MessageFlags.Ephemeral });
+                return;
+            }
+            if (await denyRestricted(i, contentKey, PRODUCTION_DATASET, lang)) return;
+            await i.reply(buildCv2Reply(contentKey, lang, PRODUCTION_DATASET, { guildId: i.guildId }));
+            recordEvent({ guildId: i.guildId, key: contentKey, lang, type: 'suggest' });
+            return;
+        }
+
+        // Links entre FAQs: faq_go:<destino>:<trilha> abre o destino, faq_back:<trilha> volta ao último da trilha
+        if (i.isButton() && /^faq_(go|back):/.test(customId)) {
+            const [prefix, ...rest] = customId.split(':');
+            const isBack = prefix.endsWith('back');
+
+            let targetKey;
+            let trail;
+            if (isBack) {
+                const keys = rest[0].split(',');
+                targetKey = keys.pop();
+                trail = keys.join(',');
+            } else {
+                [targetKey, trail = ''] = rest;
+            }
+
+            const lang = getUserLanguage(i, dataset);
+            if (!faqExists(targetKey, loadDataset(dataset, i.guildId))) {
+                await i.reply({ content: uiText(lang, 'linkNotFound'), flags: MessageFlags.Ephemeral });
+                return;
+            }
+            if (await denyRestricted(i, targetKey, dataset, lang)) return;
+
+            await i.update(buildCv2Reply(targetKey, lang, dataset, { trail, guildId: i.guildId }));
+            if (isProduction && !isBack) recordEvent({ guildId: i.guildId, key: targetKey, lang, type: 'link' });
             return;
         }
 
-        // Toggle de idioma: lang_btn:<contentKey>:<novoIdioma>
-        if (i.isButton() && i.customId.startsWith('lang_btn:')) {
-            const [, contentKey, newLang] = i.customId.split(':');
-            const targetLang = newLang === 'pt' ? 'pt' : 'en';
-            userLangCache.set(i.user.id, targetLang);
-            await i.update(buildCv2Reply(contentKey, targetLang, false));
+        // Páginas de respostas longas: page:<contentKey>:<idioma>:<página>[:<trilha>]
+        if (i.isButton() && /^page:/.test(customId)) {
+            const [, contentKey, lang, page, trail = ''] = customId.split(':');
+            if (await denyRestricted(i, contentKey, dataset, lang)) return;
+            await i.update(buildCv2Reply(contentKey, lang, dataset, { trail, page: Number(page), guildId: i.guildId }));
             return;
         }
 
-        // Toggle de idioma para versão de teste: tlang_btn:<contentKey>:<novoIdioma>
-        if (i.isButton() && i.customId.startsWith('tlang_btn:')) {
-            const [, contentKey, newLang] = i.customId.split(':');
-            const targetLang = newLang === 'pt' ? 'pt' : 'en';
-            userLangCache.set(i.user.id, targetLang);
-            await i.update(buildCv2Reply(contentKey, targetLang, true));
+        // Seletor de idioma: lang_btn:<contentKey>:<novoIdioma>:<página>[:<trilha>] (botão)
+        // ou lang_sel:<contentKey>:<página>[:<trilha>] (select); a página é mantida, limitada ao total do novo idioma
+        if ((i.isButton() && /^lang_btn:/.test(customId)) || (i.isStringSelectMenu() && /^lang_sel:/.test(customId))) {
+            const segments = customId.split(':');
+            const contentKey = segments[1];
+            const isSelect = i.isStringSelectMenu();
+            const newLang = isSelect ? i.values[0] : segments[2];
+            const [page, trail = ''] = segments.slice(isSelect ? 2 : 3);
+            const targetLang = resolveLanguage(newLang, dataset, i.guildId);
+            if (await denyRestricted(i, contentKey, dataset, targetLang)) return;
+            setUserLang(i.user.id, targetLang);
+            await i.update(buildCv2Reply(contentKey, targetLang, dataset, { trail, page: Number(page), guildId: i.guildId }));
+            if (isProduction) recordEvent({ guildId: i.guildId, key: contentKey, lang: targetLang, type: 'lang' });
             return;
         }
     } catch (err) {
@@ -0,0 +1,42 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Preferências de idioma por usuário, salvas ao lado do message.json
+// Carregadas uma vez em memória e gravadas a cada alteração
+const PREFS_FILE = path.join(process.cwd(), 'userprefs.json');
+
+let prefs = null;
+
+function loadPrefs() {
+    if (prefs) return prefs;
+    prefs = { users: {} };
+
+    if (!fs.existsSync(PREFS_FILE)) return prefs;
+    try {
+        const raw = JSON.parse(fs.readFileSync(PREFS_FILE, 'utf8'));
+        if (raw?.users && typeof raw.users === 'object') {
+            for (const [userId, entry] of Object.entries(raw.users)) {
+                if (typeof entry?.lang === 'string') prefs.users[userId] = { lang: entry.lang };
+            }
+        }
+    } catch (err) {
+        console.error(`[ERROR] carregar preferências: ${err.message}`);
+    }
+    return prefs;
+}
+
+export function getUserLang(userId) {
+    return loadPrefs().users[userId]?.lang || null;
+}
+
+export function setUserLang(userId, lang) {
+    const data = loadPrefs();
+    if (data.users[userId]?.lang === lang) return;
+
+    data.users[userId] = { lang };
+    try {
+        fs.writeFileSync(PREFS_FILE, JSON.stringify(data, null, 2));
+    } catch (err) {
+        console.error(`[ERROR] salvar preferências: ${err.message}`);
+    }
+}